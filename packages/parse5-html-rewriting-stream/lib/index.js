@@ -1,11 +1,27 @@
 'use strict';
 
 const SAXParser = require('parse5-sax-parser');
-const { escapeString } = require('parse5/lib/serializer');
+const mergeOptions = require('parse5/lib/utils/merge-options');
+const { escapeString, serializeAttributes } = require('parse5/lib/serializer');
+
+const DEFAULT_OPTIONS = {
+    encodeEntities: 'minimal',
+    sortAttributes: false,
+    attributeQuotes: 'double',
+    omitAttributeQuotes: false,
+    collapseBooleanAttributes: false
+};
 
 class RewritingStream extends SAXParser {
-    constructor() {
-        super({ sourceCodeLocationInfo: true });
+    constructor(options) {
+        options = mergeOptions(DEFAULT_OPTIONS, options);
+
+        //NOTE: location info is required to obtain raw HTML of tokens. Raw HTML is sliced from the input
+        //by the location offsets, so they should be measured in UTF-16 code units.
+        options.sourceCodeLocationInfo = true;
+        options.positionEncoding = 'utf-16';
+
+        super(options);
 
         this.posTracker = this.locInfoMixin.posTracker;
     }
@@ -61,14 +77,15 @@ class RewritingStream extends SAXParser {
     emitStartTag(token) {
         let res = `<${token.tagName}`;
 
-        const attrs = token.attrs;
+        res += serializeAttributes(token.attrs, this.options);
 
-        for (let i = 0; i < attrs.length; i++) {
-            res += ` ${attrs[i].name}="${escapeString(attrs[i].value, true)}"`;
+        if (token.selfClosing) {
+            //NOTE: otherwise the solidus becomes a part of the unquoted attribute value
+            res += this.options.omitAttributeQuotes && token.attrs.length ? ' />' : '/>';
+        } else {
+            res += '>';
         }
 
-        res += token.selfClosing ? '/>' : '>';
-
         this.push(res);
     }
 
@@ -77,13 +94,18 @@ class RewritingStream extends SAXParser {
     }
 
     emitText({ text }) {
-        this.push(escapeString(text, false));
+        //NOTE: if entities are not decoded, the text already contains escaped ampersands
+        this.push(escapeString(text, false, this.options.encodeEntities, !this.options.decodeEntities));
     }
 
     emitComment(token) {
         this.push(`<!--${token.text}-->`);
     }
 
+    emitOpaqueIsland(token) {
+        this.push(token.text);
+    }
+
     emitRaw(html) {
         this.push(html);
     }
@@ -3,8 +3,15 @@
 const assert = require('assert');
 const dedent = require('dedent');
 const RewritingStream = require('../lib');
+const Tokenizer = require('parse5/lib/tokenizer');
 const loadSAXParserTestData = require('../../../test/utils/load-sax-parser-test-data');
-const { getStringDiffMsg, writeChunkedToStream, WritableStreamStub } = require('../../../test/utils/common');
+const {
+    getStringDiffMsg,
+    writeChunkedToStream,
+    WritableStreamStub,
+    createWebReadableStream,
+    readWebStream
+} = require('../../../test/utils/common');
 
 const srcHtml = dedent`
     <!DOCTYPE html "">
@@ -19,9 +26,9 @@ const srcHtml = dedent`
     </html>
 `;
 
-function createRewriterTest({ src, expected, assignTokenHandlers = () => {} }) {
+function createRewriterTest({ src, expected, options, assignTokenHandlers = () => {} }) {
     return done => {
-        const rewriter = new RewritingStream();
+        const rewriter = new RewritingStream(options);
         const writable = new WritableStreamStub();
 
         writable.once('finish', () => {
@@ -246,6 +253,83 @@ exports['RewritingStream - Should escape entities in attributes and text'] = cre
     }
 });
 
+exports['RewritingStream - Should encode non-ASCII characters using the encodeEntities option'] = createRewriterTest({
+    src: '<div title="Café">Ünï&amp;&#128512;</div><p title="©">&nbsp;</p>',
+    expected: '<div title="Caf&eacute;">&Uuml;n&iuml;&amp;&#128512;</div><p title="©">&nbsp;</p>',
+    options: { encodeEntities: 'named' },
+    assignTokenHandlers: rewriter => {
+        rewriter.on('startTag', (token, raw) => {
+            if (token.tagName === 'div') {
+                rewriter.emitStartTag(token);
+            } else {
+                rewriter.emitRaw(raw);
+            }
+        });
+        rewriter.on('text', token => rewriter.emitText(token));
+    }
+});
+
+exports['RewritingStream - Should serialize attributes according to the options'] = createRewriterTest({
+    src: '<div title="it\'s" id="foo" hidden=""></div><br class="a"/>',
+    expected: '<div hidden id=foo title="it\'s"></div><br class=a />',
+    options: {
+        sortAttributes: true,
+        attributeQuotes: 'auto',
+        omitAttributeQuotes: true,
+        collapseBooleanAttributes: true
+    },
+    assignTokenHandlers: rewriter => {
+        rewriter.on('startTag', token => rewriter.emitStartTag(token));
+    }
+});
+
+exports['RewritingStream - Should keep character references if decodeEntities is disabled'] = createRewriterTest({
+    src: '<a href="?a=1&amp;b=2&c" title=\'"&lt;\'>&copy; 2020 &amp; 1 < 2</a>',
+    expected: '<a href="?a=1&amp;b=2&c" title="&quot;&lt;">&copy; 2020 &amp; 1 &lt; 2</a>',
+    options: { decodeEntities: false },
+    assignTokenHandlers: rewriter => {
+        rewriter.on('startTag', token => rewriter.emitStartTag(token));
+        rewriter.on('text', token => rewriter.emitText(token));
+    }
+});
+
+exports['RewritingStream - Should treat the content of custom raw text elements as text'] = createRewriterTest({
+    src: '<x-markdown>*<b>a</b>*</x-markdown><b>b</b>',
+    expected: '<X-MARKDOWN>*<b>a</b>*</x-markdown><B>b</b>',
+    options: { rawTextElements: { 'x-markdown': Tokenizer.MODE.RAWTEXT } },
+    assignTokenHandlers: rewriter => {
+        rewriter.on('startTag', token => {
+            token.tagName = token.tagName.toUpperCase();
+            rewriter.emitStartTag(token);
+        });
+    }
+});
+
+exports['RewritingStream - Should keep opaque islands as is'] = createRewriterTest({
+    src: '<p title="{{title}}">a {{#if a < b}} b</p>{{/if}}',
+    expected: '<p title="{{title}}">A {{#if a < b}} B</p>{{/if}}',
+    options: { opaqueIslands: [{ open: '{{', close: '}}' }] },
+    assignTokenHandlers: rewriter => {
+        rewriter.on('startTag', token => rewriter.emitStartTag(token));
+        rewriter.on('text', token => {
+            token.text = token.text.toUpperCase();
+            rewriter.emitText(token);
+        });
+    }
+});
+
+exports['RewritingStream - rewrite opaque islands'] = createRewriterTest({
+    src: '<p>{{name}} {{#if a < b}}</p>',
+    expected: '<p>{{ NAME }} {{ #IF A < B }}</p>',
+    options: { opaqueIslands: [{ open: '{{', close: '}}' }] },
+    assignTokenHandlers: rewriter => {
+        rewriter.on('opaqueIsland', token => {
+            token.text = '{{ ' + token.text.slice(2, -2).toUpperCase() + ' }}';
+            rewriter.emitOpaqueIsland(token);
+        });
+    }
+});
+
 exports['Regression - RewritingStream - Last text chunk must be flushed (GH-271)'] = done => {
     const parser = new RewritingStream();
     let foundText = false;
@@ -270,3 +354,15 @@ exports['Regression - RewritingStream - Should not accept binary input (GH-269)'
 
     assert.throws(() => stream.write(buf), TypeError);
 };
+
+exports['RewritingStream - WHATWG TransformStream'] = () => {
+    const rewriter = new RewritingStream();
+
+    rewriter.on('text', ({ text }) => rewriter.emitRaw(text.toUpperCase()));
+
+    const output = createWebReadableStream(srcHtml).pipeThrough(rewriter.toTransformStream());
+
+    return readWebStream(output).then(actual => {
+        assert.strictEqual(actual, srcHtml.replace('Hey ya', 'HEY YA'));
+    });
+};
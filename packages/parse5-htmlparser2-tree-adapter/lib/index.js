@@ -8,7 +8,9 @@ const nodeTypes = {
     element: 1,
     text: 3,
     cdata: 4,
-    comment: 8
+    comment: 8,
+    //NOTE: DOM has no counterpart for opaque nodes, so they are exposed as comments
+    opaque: 8
 };
 
 const nodePropertyShorthands = {
@@ -120,6 +122,16 @@ exports.createCommentNode = function(data) {
     });
 };
 
+exports.createOpaqueNode = function(data) {
+    return new Node({
+        type: 'opaque',
+        data: data,
+        parent: null,
+        prev: null,
+        next: null
+    });
+};
+
 const createTextNode = function(value) {
     return new Node({
         type: 'text',
@@ -167,8 +179,13 @@ exports.getTemplateContent = function(templateElement) {
     return templateElement.children[0];
 };
 
-exports.setDocumentType = function(document, name, publicId, systemId) {
-    const data = doctype.serializeContent(name, publicId, systemId);
+exports.setDocumentType = function(document, name, publicId, systemId, hasPublicId, hasSystemId) {
+    //NOTE: presence of the identifiers is not specified by the callers that create document types
+    //from scratch, in that case only non-empty identifiers are considered present.
+    hasPublicId = typeof hasPublicId === 'boolean' ? hasPublicId : !!publicId;
+    hasSystemId = typeof hasSystemId === 'boolean' ? hasSystemId : !!systemId;
+
+    const data = doctype.serializeContent(name, hasPublicId ? publicId : null, hasSystemId ? systemId : null);
     let doctypeNode = null;
 
     for (let i = 0; i < document.children.length; i++) {
@@ -183,6 +200,8 @@ exports.setDocumentType = function(document, name, publicId, systemId) {
         doctypeNode['x-name'] = name;
         doctypeNode['x-publicId'] = publicId;
         doctypeNode['x-systemId'] = systemId;
+        doctypeNode['x-hasPublicId'] = hasPublicId;
+        doctypeNode['x-hasSystemId'] = hasSystemId;
     } else {
         appendChild(
             document,
@@ -192,7 +211,9 @@ exports.setDocumentType = function(document, name, publicId, systemId) {
                 data: data,
                 'x-name': name,
                 'x-publicId': publicId,
-                'x-systemId': systemId
+                'x-systemId': systemId,
+                'x-hasPublicId': hasPublicId,
+                'x-hasSystemId': hasSystemId
             })
         );
     }
@@ -206,6 +227,19 @@ exports.getDocumentMode = function(document) {
     return document['x-mode'];
 };
 
+exports.setDocumentEncoding = function(document, encoding, confidence) {
+    document['x-encoding'] = encoding;
+    document['x-encodingConfidence'] = confidence;
+};
+
+exports.getDocumentEncoding = function(document) {
+    return document['x-encoding'];
+};
+
+exports.getDocumentEncodingConfidence = function(document) {
+    return document['x-encodingConfidence'];
+};
+
 exports.detachNode = function(node) {
     if (node.parent) {
         const idx = node.parent.children.indexOf(node);
@@ -305,6 +339,10 @@ exports.getCommentNodeContent = function(commentNode) {
     return commentNode.data;
 };
 
+exports.getOpaqueNodeContent = function(opaqueNode) {
+    return opaqueNode.data;
+};
+
 exports.getDocumentTypeNodeName = function(doctypeNode) {
     return doctypeNode['x-name'];
 };
@@ -317,6 +355,14 @@ exports.getDocumentTypeNodeSystemId = function(doctypeNode) {
     return doctypeNode['x-systemId'];
 };
 
+exports.hasDocumentTypeNodePublicId = function(doctypeNode) {
+    return doctypeNode['x-hasPublicId'];
+};
+
+exports.hasDocumentTypeNodeSystemId = function(doctypeNode) {
+    return doctypeNode['x-hasSystemId'];
+};
+
 //Node types
 exports.isTextNode = function(node) {
     return node.type === 'text';
@@ -326,6 +372,10 @@ exports.isCommentNode = function(node) {
     return node.type === 'comment';
 };
 
+exports.isOpaqueNode = function(node) {
+    return node.type === 'opaque';
+};
+
 exports.isDocumentTypeNode = function(node) {
     return node.type === 'directive' && node.name === '!doctype';
 };
@@ -342,3 +392,12 @@ exports.setNodeSourceCodeLocation = function(node, location) {
 exports.getNodeSourceCodeLocation = function(node) {
     return node.sourceCodeLocation;
 };
+
+// Raw source
+exports.setNodeRawSource = function(node, rawSource) {
+    node.rawSource = rawSource;
+};
+
+exports.getNodeRawSource = function(node) {
+    return node.rawSource;
+};
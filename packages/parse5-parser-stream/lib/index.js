@@ -2,6 +2,7 @@
 
 const { Writable } = require('stream');
 const Parser = require('parse5/lib/parser');
+const webStreams = require('parse5/lib/utils/web-streams');
 
 class ParserStream extends Writable {
     constructor(options) {
@@ -13,26 +14,27 @@ class ParserStream extends Writable {
         this.writeCallback = null;
         this.pausedByScript = false;
 
-        this.document = this.parser.treeAdapter.createDocument();
-
         this.pendingHtmlInsertions = [];
 
         this._resume = this._resume.bind(this);
         this._documentWrite = this._documentWrite.bind(this);
         this._scriptHandler = this._scriptHandler.bind(this);
+        this._encodingChangeHandler = this._encodingChangeHandler.bind(this);
 
-        this.parser._bootstrap(this.document, null);
+        this.parser._startIncrementalParsing();
+        this.document = this.parser.document;
     }
 
     //WritableStream implementation
     _write(chunk, encoding, callback) {
-        if (typeof chunk !== 'string') {
-            throw new TypeError('Parser can work only with string streams.');
-        }
-
         this.writeCallback = callback;
-        this.parser.tokenizer.write(chunk, this.lastChunkWritten);
-        this._runParsingLoop();
+        this.parser._writeChunk(
+            chunk,
+            this.lastChunkWritten,
+            this.writeCallback,
+            this._scriptHandler,
+            this._encodingChangeHandler
+        );
     }
 
     end(chunk, encoding, callback) {
@@ -40,9 +42,18 @@ class ParserStream extends Writable {
         super.end(chunk || '', encoding, callback);
     }
 
+    //WHATWG streams
+    toWritableStream() {
+        return webStreams.createWritableStream(this);
+    }
+
+    consume(iterable) {
+        return webStreams.writeIterable(this, iterable);
+    }
+
     //Scriptable parser implementation
     _runParsingLoop() {
-        this.parser.runParsingLoopForCurrentChunk(this.writeCallback, this._scriptHandler);
+        this.parser.runParsingLoopForCurrentChunk(this.writeCallback, this._scriptHandler, this._encodingChangeHandler);
     }
 
     _resume() {
@@ -78,6 +89,11 @@ class ParserStream extends Writable {
             this._runParsingLoop();
         }
     }
+
+    //NOTE: we don't keep the input, so we can't restart parsing by ourselves
+    _encodingChangeHandler(encoding) {
+        this.emit('encodingChange', encoding);
+    }
 }
 
 module.exports = ParserStream;
@@ -2,6 +2,7 @@ const assert = require('assert');
 const ParserStream = require('../lib');
 const generateParsingTests = require('../../../test/utils/generate-parsing-tests');
 const parseChunked = require('./utils/parse-chunked');
+const { createWebReadableStream } = require('../../../test/utils/common');
 
 generateParsingTests(exports, 'ParserStream', { skipFragments: true }, (test, opts) => parseChunked(test.input, opts));
 
@@ -14,9 +15,87 @@ exports['Regression - Fix empty stream parsing with ParserStream (GH-196)'] = fu
     parser.end();
 };
 
-exports['Regression - ParserStream - Should not accept binary input (GH-269)'] = () => {
+exports['ParserStream - Binary input'] = function(done) {
+    const parser = new ParserStream().once('finish', () => {
+        const html = parser.document.childNodes[0];
+        const body = html.childNodes[1];
+
+        assert.strictEqual(parser.document.encoding, 'utf-8');
+        assert.strictEqual(body.childNodes[0].value, 'Привет');
+        done();
+    });
+    const bytes = Buffer.from('<meta charset="utf-8">Привет');
+
+    //NOTE: split multibyte characters between chunks
+    for (let i = 0; i < bytes.length; i += 3) {
+        parser.write(bytes.slice(i, i + 3));
+    }
+
+    parser.end();
+};
+
+exports['ParserStream - Change the encoding while parsing'] = function(done) {
+    const parser = new ParserStream();
+    let newEncoding = null;
+
+    parser.on('encodingChange', encoding => (newEncoding = encoding));
+
+    parser.once('finish', () => {
+        assert.strictEqual(newEncoding, 'windows-1251');
+        done();
+    });
+
+    parser.write(Buffer.from(' '.repeat(1024)));
+    parser.write(Buffer.from('<meta http-equiv="content-type" content="text/html; charset=windows-1251">'));
+    parser.end(Buffer.from('<p>Hey</p>'));
+};
+
+exports['ParserStream - Should not mix strings and binary input'] = () => {
     const stream = new ParserStream();
-    const buf = Buffer.from('test');
 
-    assert.throws(() => stream.write(buf), TypeError);
+    stream.write(Buffer.from('test'));
+
+    assert.throws(() => stream.write('test'), TypeError);
+};
+
+exports['ParserStream - WHATWG WritableStream'] = function() {
+    const parser = new ParserStream();
+    const html = '<!DOCTYPE html><html><head></head><body><div>Hey ya</div></body></html>';
+
+    return createWebReadableStream(html)
+        .pipeTo(parser.toWritableStream())
+        .then(() => {
+            const body = parser.document.childNodes[1].childNodes[1];
+
+            assert.strictEqual(body.childNodes[0].childNodes[0].value, 'Hey ya');
+        });
+};
+
+exports['ParserStream - consume()'] = function() {
+    const parser = new ParserStream();
+    const html = '<!DOCTYPE html><html><head></head><body><div>Hey ya</div></body></html>';
+
+    return parser.consume(createWebReadableStream(html)).then(() => {
+        const body = parser.document.childNodes[1].childNodes[1];
+
+        assert.strictEqual(body.childNodes[0].childNodes[0].value, 'Hey ya');
+    });
+};
+
+exports['ParserStream - consume() - iterable'] = function() {
+    const parser = new ParserStream();
+
+    return parser.consume(['<div>Hey', ' ya']).then(() => {
+        const body = parser.document.childNodes[0].childNodes[1];
+
+        assert.strictEqual(body.childNodes[0].childNodes[0].value, 'Hey ya');
+    });
+};
+
+exports['ParserStream - consume() - error'] = function() {
+    const parser = new ParserStream();
+
+    return parser
+        .consume([Buffer.from('<div>'), 'Hey'])
+        .then(() => assert.fail('should reject'), err => assert.ok(err instanceof TypeError));
 };
@@ -3,7 +3,7 @@
 const assert = require('assert');
 const parse5 = require('parse5');
 const PlainTextConversionStream = require('../lib');
-const { generateTestsForEachTreeAdapter } = require('../../../test/utils/common');
+const { generateTestsForEachTreeAdapter, createWebReadableStream } = require('../../../test/utils/common');
 
 generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
     _test['Plain text conversion stream'] = function() {
@@ -23,9 +23,24 @@ generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
     };
 });
 
-exports['Regression - Plain text conversion stream - Should not accept binary input (GH-269)'] = () => {
-    const stream = new PlainTextConversionStream();
-    const buf = Buffer.from('test');
+exports['Plain text conversion stream - Binary input'] = () => {
+    const converter = new PlainTextConversionStream({ transportEncoding: 'utf-8' });
 
-    assert.throws(() => stream.write(buf), TypeError);
+    converter.end(Buffer.from('<html>Привет'));
+
+    const result = parse5.serialize(converter.document);
+
+    assert.strictEqual(result, '<html><head></head><body><pre>\n&lt;html&gt;Привет</pre></body></html>');
+};
+
+exports['Plain text conversion stream - WHATWG WritableStream'] = () => {
+    const converter = new PlainTextConversionStream();
+
+    return createWebReadableStream('Hey<br>yo')
+        .pipeTo(converter.toWritableStream())
+        .then(() => {
+            const result = parse5.serialize(converter.document);
+
+            assert.strictEqual(result, '<html><head></head><body><pre>\nHey&lt;br&gt;yo</pre></body></html>');
+        });
 };
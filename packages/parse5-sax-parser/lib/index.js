@@ -2,14 +2,22 @@
 
 const { Transform } = require('stream');
 const Tokenizer = require('parse5/lib/tokenizer');
+const compileNamedEntityTree = require('parse5/lib/tokenizer/named-entity-tree');
 const LocationInfoTokenizerMixin = require('parse5/lib/extensions/location-info/tokenizer-mixin');
 const Mixin = require('parse5/lib/utils/mixin');
 const mergeOptions = require('parse5/lib/utils/merge-options');
+const createRawTextElementMap = require('parse5/lib/utils/raw-text-elements');
+const webStreams = require('parse5/lib/utils/web-streams');
 const DevNullStream = require('./dev-null-stream');
 const ParserFeedbackSimulator = require('./parser-feedback-simulator');
 
 const DEFAULT_OPTIONS = {
-    sourceCodeLocationInfo: false
+    sourceCodeLocationInfo: false,
+    positionEncoding: 'utf-16',
+    decodeEntities: true,
+    namedEntities: null,
+    rawTextElements: null,
+    opaqueIslands: null
 };
 
 class SAXParser extends Transform {
@@ -19,13 +27,25 @@ class SAXParser extends Transform {
         this.options = mergeOptions(DEFAULT_OPTIONS, options);
 
         this.tokenizer = new Tokenizer(options);
+        this.tokenizer.decodeEntities = this.options.decodeEntities;
+        this.tokenizer.opaqueIslands = this.options.opaqueIslands;
+
+        if (this.options.namedEntities) {
+            this.tokenizer.namedEntityTree = compileNamedEntityTree(this.options.namedEntities);
+        }
+
         this.locInfoMixin = null;
 
         if (this.options.sourceCodeLocationInfo) {
-            this.locInfoMixin = Mixin.install(this.tokenizer, LocationInfoTokenizerMixin);
+            this.locInfoMixin = Mixin.install(this.tokenizer, LocationInfoTokenizerMixin, {
+                positionEncoding: this.options.positionEncoding
+            });
         }
 
-        this.parserFeedbackSimulator = new ParserFeedbackSimulator(this.tokenizer);
+        this.parserFeedbackSimulator = new ParserFeedbackSimulator(
+            this.tokenizer,
+            createRawTextElementMap(this.options.rawTextElements)
+        );
 
         this.pendingText = null;
 
@@ -56,6 +76,20 @@ class SAXParser extends Transform {
         this.stopped = true;
     }
 
+    //WHATWG streams
+    //NOTE: the readable side pauses the parser once its queue is full, so the writable side
+    //doesn't accept the input until the output is consumed
+    toTransformStream() {
+        return {
+            writable: webStreams.createWritableStream(this),
+            readable: webStreams.createReadableStream(this)
+        };
+    }
+
+    consume(iterable) {
+        return webStreams.writeIterable(this, iterable);
+    }
+
     //Internals
     _transformChunk(chunk) {
         if (!this.stopped) {
@@ -148,6 +182,10 @@ const TOKEN_EMISSION_HELPERS = {
         eventName: 'comment',
         reshapeToken: origToken => ({ text: origToken.data, sourceCodeLocation: origToken.location })
     },
+    [Tokenizer.OPAQUE_ISLAND_TOKEN]: {
+        eventName: 'opaqueIsland',
+        reshapeToken: origToken => ({ text: origToken.data, sourceCodeLocation: origToken.location })
+    },
     [Tokenizer.DOCTYPE_TOKEN]: {
         eventName: 'doctype',
         reshapeToken: origToken => ({
@@ -12,8 +12,9 @@ const NS = HTML.NAMESPACES;
 //ParserFeedbackSimulator
 //Simulates adjustment of the Tokenizer which performed by standard parser during tree construction.
 class ParserFeedbackSimulator {
-    constructor(tokenizer) {
+    constructor(tokenizer, rawTextElements) {
         this.tokenizer = tokenizer;
+        this.rawTextElements = rawTextElements || Object.create(null);
 
         this.namespaceStack = [];
         this.namespaceStackTop = -1;
@@ -83,6 +84,8 @@ class ParserFeedbackSimulator {
             tn === $.NOSCRIPT
         ) {
             this.tokenizer.state = Tokenizer.MODE.RAWTEXT;
+        } else if (this.rawTextElements[tn]) {
+            this.tokenizer.state = this.rawTextElements[tn];
         }
     }
 
@@ -46,3 +46,24 @@ exports['Regression - location info for text (GH-153, GH-266)'] = function() {
 
     parser.end(html);
 };
+
+exports['Location info (SAX) - position encoding'] = function() {
+    const html = '<p>😀é</p>';
+    const parser = new SAXParser({ sourceCodeLocationInfo: true, positionEncoding: 'codepoint' });
+    const endTagLocations = [];
+
+    parser.on('endTag', ({ sourceCodeLocation }) => endTagLocations.push(sourceCodeLocation));
+
+    parser.end(html);
+
+    assert.deepStrictEqual(endTagLocations, [
+        {
+            startLine: 1,
+            startCol: 6,
+            startOffset: 5,
+            endLine: 1,
+            endCol: 10,
+            endOffset: 9
+        }
+    ]);
+};
@@ -4,12 +4,15 @@ const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
 const SAXParser = require('../lib');
+const Tokenizer = require('parse5/lib/tokenizer');
 const loadSAXParserTestData = require('../../../test/utils/load-sax-parser-test-data');
 const {
     getStringDiffMsg,
     writeChunkedToStream,
     removeNewLines,
-    WritableStreamStub
+    WritableStreamStub,
+    createWebReadableStream,
+    readWebStream
 } = require('../../../test/utils/common');
 
 function sanitizeForComparison(str) {
@@ -149,3 +152,105 @@ exports['Regression - SAX - Should not accept binary input (GH-269)'] = () => {
 
     assert.throws(() => stream.write(buf), TypeError);
 };
+
+exports['SAX - decodeEntities'] = function(done) {
+    const parser = new SAXParser({ decodeEntities: false });
+    const tokens = [];
+
+    parser.on('startTag', ({ attrs }) => tokens.push(attrs[0].value));
+    parser.on('text', ({ text }) => tokens.push(text));
+
+    parser.once('finish', () => {
+        assert.deepStrictEqual(tokens, ['?a=1&amp;b=2', '&lt;&nbsp;&#x3e;']);
+        done();
+    });
+
+    parser.end('<a href="?a=1&amp;b=2">&lt;&nbsp;&#x3e;</a>');
+};
+
+exports['SAX - rawTextElements'] = function(done) {
+    const parser = new SAXParser({ rawTextElements: { 'x-markdown': Tokenizer.MODE.RAWTEXT } });
+    const events = [];
+
+    parser.on('startTag', ({ tagName }) => events.push(`<${tagName}>`));
+    parser.on('endTag', ({ tagName }) => events.push(`</${tagName}>`));
+    parser.on('text', ({ text }) => events.push(text));
+
+    parser.once('finish', () => {
+        assert.deepStrictEqual(events, ['<x-markdown>', '*<b>a</b>*', '</x-markdown>', '<b>', 'b', '</b>']);
+        done();
+    });
+
+    parser.end('<x-markdown>*<b>a</b>*</x-markdown><b>b</b>');
+};
+
+exports['SAX - opaqueIslands'] = function(done) {
+    const parser = new SAXParser({ opaqueIslands: [{ open: '{{', close: '}}' }], sourceCodeLocationInfo: true });
+    const events = [];
+
+    parser.on('startTag', ({ attrs }) => events.push(attrs[0].value));
+    parser.on('text', ({ text }) => events.push(text));
+    parser.on('opaqueIsland', ({ text, sourceCodeLocation }) => {
+        events.push(text, sourceCodeLocation.startOffset, sourceCodeLocation.endOffset);
+    });
+
+    parser.once('finish', () => {
+        assert.deepStrictEqual(events, ['{{title}}', 'a ', '{{#if a < b}}', 21, 34, ' b']);
+        done();
+    });
+
+    parser.end('<p title={{title}}>a {{#if a < b}} b</p>');
+};
+
+exports['SAXParser - WHATWG TransformStream'] = function() {
+    const parser = new SAXParser();
+    const html = '<div title="Hey">ya</div><!-- comment -->';
+    const startTags = [];
+
+    parser.on('startTag', ({ tagName }) => startTags.push(tagName));
+
+    return readWebStream(createWebReadableStream(html).pipeThrough(parser.toTransformStream())).then(output => {
+        assert.strictEqual(output, html);
+        assert.deepEqual(startTags, ['div']);
+    });
+};
+
+exports['SAXParser - WHATWG TransformStream - backpressure'] = function() {
+    const parser = new SAXParser();
+    const chunk = '<a>' + 'x'.repeat(1000);
+    const { writable, readable } = parser.toTransformStream();
+    const writer = writable.getWriter();
+    let startTagCount = 0;
+
+    parser.on('startTag', () => startTagCount++);
+
+    for (let i = 0; i < 100; i++) {
+        writer.write(chunk);
+    }
+
+    writer.close();
+
+    return new Promise(resolve => setTimeout(resolve, 50))
+        .then(() => {
+            //NOTE: the input is not consumed until the output is read
+            assert.ok(startTagCount < 100);
+
+            return readWebStream(readable);
+        })
+        .then(output => {
+            assert.strictEqual(output, chunk.repeat(100));
+            assert.strictEqual(startTagCount, 100);
+        });
+};
+
+exports['SAXParser - consume()'] = function() {
+    const parser = new SAXParser();
+    const html = '<div title="Hey">ya</div><!-- comment -->';
+    const startTags = [];
+
+    parser.on('startTag', ({ tagName }) => startTags.push(tagName));
+
+    return parser.consume(createWebReadableStream(html)).then(() => {
+        assert.deepEqual(startTags, ['div']);
+    });
+};
@@ -2,6 +2,7 @@
 
 const { Readable } = require('stream');
 const Serializer = require('parse5/lib/serializer');
+const webStreams = require('parse5/lib/utils/web-streams');
 
 class SerializerStream extends Readable {
     constructor(node, options) {
@@ -24,6 +25,11 @@ class SerializerStream extends Readable {
         this.serializer.serialize();
         this.push(null);
     }
+
+    //WHATWG streams
+    toReadableStream() {
+        return webStreams.createReadableStream(this);
+    }
 }
 
 module.exports = SerializerStream;
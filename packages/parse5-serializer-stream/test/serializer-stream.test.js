@@ -1,8 +1,10 @@
 'use strict';
 
+const assert = require('assert');
 const SerializerStream = require('../lib');
 const generateSeriliazerTests = require('../../../test/utils/generate-serializer-tests');
-const { WritableStreamStub } = require('../../../test/utils/common');
+const parse5 = require('parse5');
+const { WritableStreamStub, readWebStream } = require('../../../test/utils/common');
 
 generateSeriliazerTests(exports, 'SeriliazerStream', (document, opts) => {
     const stream = new SerializerStream(document, opts);
@@ -14,3 +16,12 @@ generateSeriliazerTests(exports, 'SeriliazerStream', (document, opts) => {
         writable.once('finish', () => resolve(writable.writtenData));
     });
 });
+
+exports['SerializerStream - WHATWG ReadableStream'] = () => {
+    const html = '<!DOCTYPE html><html><head></head><body><div>Hey ya</div></body></html>';
+    const stream = new SerializerStream(parse5.parse(html));
+
+    return readWebStream(stream.toReadableStream()).then(actual => {
+        assert.strictEqual(actual, html);
+    });
+};
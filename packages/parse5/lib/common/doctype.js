@@ -159,9 +159,9 @@ exports.serializeContent = function(name, publicId, systemId) {
         str += name;
     }
 
-    if (publicId) {
+    if (publicId !== null) {
         str += ' PUBLIC ' + enquoteDoctypeId(publicId);
-    } else if (systemId) {
+    } else if (systemId !== null) {
         str += ' SYSTEM';
     }
 
@@ -0,0 +1,431 @@
+'use strict';
+
+const { CODE_POINTS: $ } = require('./unicode');
+
+//NOTE: TextDecoder is a global in browsers and recent versions of Node.js,
+//older versions of Node.js expose it only via the `util` module.
+const TextDecoder = global.TextDecoder || require('util').TextDecoder;
+
+//Const
+const UTF_8 = 'utf-8';
+const UTF_16LE = 'utf-16le';
+const UTF_16BE = 'utf-16be';
+const WINDOWS_1252 = 'windows-1252';
+const X_USER_DEFINED = 'x-user-defined';
+
+//NOTE: the spec allows to wait for up to 1024 bytes before running the prescan
+const PRESCAN_LENGTH = 1024;
+
+//NOTE: the fallback encoding is implementation-defined. User agents use
+//windows-1252 for the most of locales, so we do the same.
+const DEFAULT_ENCODING = WINDOWS_1252;
+
+//Byte sequences (lower case)
+const COMMENT_START = [$.LESS_THAN_SIGN, $.EXCLAMATION_MARK, $.HYPHEN_MINUS, $.HYPHEN_MINUS]; //<!--
+const COMMENT_END = [$.HYPHEN_MINUS, $.HYPHEN_MINUS, $.GREATER_THAN_SIGN]; //-->
+const META_START = [$.LESS_THAN_SIGN, 0x6d, 0x65, 0x74, 0x61]; //<meta
+
+//Attributes
+const HTTP_EQUIV_ATTR = 'http-equiv';
+const CONTENT_ATTR = 'content';
+const CHARSET_ATTR = 'charset';
+const CONTENT_TYPE = 'content-type';
+
+//Confidences
+//(see: https://html.spec.whatwg.org/multipage/parsing.html#concept-encoding-confidence)
+const CONFIDENCE = {
+    CERTAIN: 'certain',
+    TENTATIVE: 'tentative'
+};
+
+//Utils
+function isSpaceByte(b) {
+    return b === $.SPACE || b === $.LINE_FEED || b === $.TABULATION || b === $.FORM_FEED || b === $.CARRIAGE_RETURN;
+}
+
+function isAsciiLetterByte(b) {
+    return (b >= $.LATIN_CAPITAL_A && b <= $.LATIN_CAPITAL_Z) || (b >= $.LATIN_SMALL_A && b <= $.LATIN_SMALL_Z);
+}
+
+function toLowerCaseByte(b) {
+    return b >= $.LATIN_CAPITAL_A && b <= $.LATIN_CAPITAL_Z ? b + 0x20 : b;
+}
+
+function isSpaceChar(ch) {
+    return ch === ' ' || ch === '\n' || ch === '\t' || ch === '\f' || ch === '\r';
+}
+
+//NOTE: implements the "get an encoding" algorithm. TextDecoder does the label matching for us.
+//(see: https://encoding.spec.whatwg.org/#concept-encoding-get)
+function getEncoding(label) {
+    if (typeof label !== 'string') {
+        return null;
+    }
+
+    label = label.trim().toLowerCase();
+
+    //NOTE: x-user-defined is not supported by TextDecoder in some environments,
+    //but it's trivial to decode, see createDecoder().
+    if (label === X_USER_DEFINED) {
+        return X_USER_DEFINED;
+    }
+
+    try {
+        return new TextDecoder(label).encoding;
+    } catch (e) {
+        return null;
+    }
+}
+
+//NOTE: UTF-16 and x-user-defined can't be declared by a <meta> element, since the
+//element itself was obviously read using an ASCII-compatible encoding.
+function adjustMetaEncoding(encoding) {
+    if (encoding === UTF_16LE || encoding === UTF_16BE) {
+        return UTF_8;
+    }
+
+    if (encoding === X_USER_DEFINED) {
+        return WINDOWS_1252;
+    }
+
+    return encoding;
+}
+
+//(see: https://html.spec.whatwg.org/multipage/urls-and-fetching.html#algorithm-for-extracting-a-character-encoding-from-a-meta-element)
+function extractEncodingFromContent(content) {
+    let pos = 0;
+
+    for (;;) {
+        const charsetPos = content.indexOf(CHARSET_ATTR, pos);
+
+        if (charsetPos === -1) {
+            return null;
+        }
+
+        pos = charsetPos + CHARSET_ATTR.length;
+
+        while (isSpaceChar(content[pos])) {
+            pos++;
+        }
+
+        //NOTE: if it's not an `=` sign, then start over from the current position
+        if (content[pos] === '=') {
+            break;
+        }
+    }
+
+    do {
+        pos++;
+    } while (isSpaceChar(content[pos]));
+
+    const ch = content[pos];
+
+    if (ch === '"' || ch === "'") {
+        const closingQuotePos = content.indexOf(ch, pos + 1);
+
+        return closingQuotePos === -1 ? null : getEncoding(content.substring(pos + 1, closingQuotePos));
+    }
+
+    let end = pos;
+
+    while (end < content.length && !isSpaceChar(content[end]) && content[end] !== ';') {
+        end++;
+    }
+
+    return end === pos ? null : getEncoding(content.substring(pos, end));
+}
+
+//Prescanner
+//NOTE: the prescan of the byte stream. All byte sequences which are examined here are ASCII,
+//so we can safely convert bytes to the code units of the same value.
+//(see: https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding)
+class Prescanner {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+    }
+
+    get eof() {
+        return this.pos >= this.bytes.length;
+    }
+
+    _startsWith(sequence) {
+        for (let i = 0; i < sequence.length; i++) {
+            const b = this.bytes[this.pos + i];
+
+            if (b === void 0 || toLowerCaseByte(b) !== sequence[i]) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    _skipUntil(predicate) {
+        while (!this.eof && !predicate(this.bytes[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    _skipUntilSequence(sequence) {
+        while (!this.eof && !this._startsWith(sequence)) {
+            this.pos++;
+        }
+    }
+
+    _skipSpaces() {
+        this._skipUntil(b => !isSpaceByte(b));
+    }
+
+    //NOTE: implements the "get an attribute" algorithm. Returns null if there is no more
+    //attributes or input was exhausted.
+    //(see: https://html.spec.whatwg.org/multipage/parsing.html#concept-get-attributes-when-sniffing)
+    _getAttribute() {
+        this._skipUntil(b => !isSpaceByte(b) && b !== $.SOLIDUS);
+
+        if (this.eof || this.bytes[this.pos] === $.GREATER_THAN_SIGN) {
+            return null;
+        }
+
+        const attr = { name: '', value: '' };
+
+        for (;;) {
+            if (this.eof) {
+                return null;
+            }
+
+            const b = this.bytes[this.pos];
+
+            if (b === $.EQUALS_SIGN && attr.name) {
+                this.pos++;
+                return this._getAttributeValue(attr);
+            }
+
+            if (isSpaceByte(b)) {
+                break;
+            }
+
+            if (b === $.SOLIDUS || b === $.GREATER_THAN_SIGN) {
+                return attr;
+            }
+
+            attr.name += String.fromCharCode(toLowerCaseByte(b));
+            this.pos++;
+        }
+
+        this._skipSpaces();
+
+        if (this.eof) {
+            return null;
+        }
+
+        if (this.bytes[this.pos] !== $.EQUALS_SIGN) {
+            return attr;
+        }
+
+        this.pos++;
+
+        return this._getAttributeValue(attr);
+    }
+
+    _getAttributeValue(attr) {
+        this._skipSpaces();
+
+        if (this.eof) {
+            return null;
+        }
+
+        const quote = this.bytes[this.pos];
+
+        if (quote === $.QUOTATION_MARK || quote === $.APOSTROPHE) {
+            for (this.pos++; !this.eof; this.pos++) {
+                const b = this.bytes[this.pos];
+
+                if (b === quote) {
+                    this.pos++;
+                    return attr;
+                }
+
+                attr.value += String.fromCharCode(toLowerCaseByte(b));
+            }
+
+            return null;
+        }
+
+        if (quote === $.GREATER_THAN_SIGN) {
+            return attr;
+        }
+
+        for (; !this.eof; this.pos++) {
+            const b = this.bytes[this.pos];
+
+            if (isSpaceByte(b) || b === $.GREATER_THAN_SIGN) {
+                return attr;
+            }
+
+            attr.value += String.fromCharCode(toLowerCaseByte(b));
+        }
+
+        return null;
+    }
+
+    _processMetaElement() {
+        const attrNames = [];
+        let gotPragma = false;
+        let needPragma = null;
+        let charset = null;
+
+        for (let attr = this._getAttribute(); attr; attr = this._getAttribute()) {
+            if (attrNames.indexOf(attr.name) !== -1) {
+                continue;
+            }
+
+            attrNames.push(attr.name);
+
+            if (attr.name === HTTP_EQUIV_ATTR) {
+                gotPragma = gotPragma || attr.value === CONTENT_TYPE;
+            } else if (attr.name === CONTENT_ATTR) {
+                if (!charset) {
+                    charset = extractEncodingFromContent(attr.value);
+                    needPragma = charset ? true : needPragma;
+                }
+            } else if (attr.name === CHARSET_ATTR) {
+                charset = getEncoding(attr.value);
+                needPragma = false;
+            }
+        }
+
+        if (needPragma === null || (needPragma && !gotPragma) || !charset) {
+            return null;
+        }
+
+        return adjustMetaEncoding(charset);
+    }
+
+    _skipTag() {
+        this._skipUntil(b => isSpaceByte(b) || b === $.GREATER_THAN_SIGN);
+
+        while (this._getAttribute()) {
+            //NOTE: just skip attributes
+        }
+    }
+
+    scan() {
+        for (; !this.eof; this.pos++) {
+            const b = this.bytes[this.pos];
+
+            if (b !== $.LESS_THAN_SIGN) {
+                continue;
+            }
+
+            const nextB = this.bytes[this.pos + 1];
+
+            if (this._startsWith(COMMENT_START)) {
+                //NOTE: the `--` of the `-->` can be the same as those of the `<!--`
+                this.pos += 2;
+                this._skipUntilSequence(COMMENT_END);
+                this.pos += COMMENT_END.length - 1;
+            } else if (this._startsWith(META_START) && this.pos + META_START.length < this.bytes.length) {
+                const afterMetaB = this.bytes[this.pos + META_START.length];
+
+                if (isSpaceByte(afterMetaB) || afterMetaB === $.SOLIDUS) {
+                    this.pos += META_START.length;
+
+                    const encoding = this._processMetaElement();
+
+                    if (encoding) {
+                        return encoding;
+                    }
+                } else {
+                    this._skipTag();
+                }
+            } else if (isAsciiLetterByte(nextB)) {
+                this._skipTag();
+            } else if (nextB === $.SOLIDUS && isAsciiLetterByte(this.bytes[this.pos + 2])) {
+                this.pos++;
+                this._skipTag();
+            } else if (nextB === $.EXCLAMATION_MARK || nextB === $.SOLIDUS || nextB === $.QUESTION_MARK) {
+                this._skipUntil(b => b === $.GREATER_THAN_SIGN);
+            }
+        }
+
+        return null;
+    }
+}
+
+//API
+exports.CONFIDENCE = CONFIDENCE;
+exports.PRESCAN_LENGTH = PRESCAN_LENGTH;
+exports.DEFAULT_ENCODING = DEFAULT_ENCODING;
+
+exports.getEncoding = getEncoding;
+
+exports.sniffBOM = function(bytes) {
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+        return UTF_8;
+    }
+
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+        return UTF_16BE;
+    }
+
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+        return UTF_16LE;
+    }
+
+    return null;
+};
+
+//NOTE: determines the encoding declared by the <meta> element encountered by the tree builder.
+//(see: https://html.spec.whatwg.org/multipage/parsing.html#parsing-main-inhead)
+exports.getMetaElementEncoding = function(charset, httpEquiv, content) {
+    let encoding = charset === null ? null : getEncoding(charset);
+
+    //NOTE: unlike the prescan, the parser falls back to the pragma if the charset label is not recognized
+    if (!encoding && httpEquiv !== null && content !== null && httpEquiv.toLowerCase() === CONTENT_TYPE) {
+        encoding = extractEncodingFromContent(content.toLowerCase());
+    }
+
+    return encoding && adjustMetaEncoding(encoding);
+};
+
+exports.prescan = function(bytes) {
+    const prescanner = new Prescanner(bytes.subarray(0, PRESCAN_LENGTH));
+
+    return prescanner.scan();
+};
+
+//NOTE: implements the encoding sniffing algorithm. It expects that either all input bytes
+//or at least PRESCAN_LENGTH of them are available.
+//(see: https://html.spec.whatwg.org/multipage/parsing.html#encoding-sniffing-algorithm)
+exports.sniff = function(bytes, transportEncoding) {
+    let encoding = exports.sniffBOM(bytes) || getEncoding(transportEncoding);
+
+    if (encoding) {
+        return { encoding, confidence: CONFIDENCE.CERTAIN };
+    }
+
+    encoding = exports.prescan(bytes) || DEFAULT_ENCODING;
+
+    return { encoding, confidence: CONFIDENCE.TENTATIVE };
+};
+
+exports.createDecoder = function(encoding) {
+    //NOTE: x-user-defined maps 0x80-0xFF bytes to U+F780-U+F7FF.
+    //(see: https://encoding.spec.whatwg.org/#x-user-defined-decoder)
+    if (encoding === X_USER_DEFINED) {
+        return {
+            decode(bytes) {
+                let str = '';
+
+                for (let i = 0; i < bytes.length; i++) {
+                    str += String.fromCharCode(bytes[i] < 0x80 ? bytes[i] : 0xf700 + bytes[i]);
+                }
+
+                return str;
+            }
+        };
+    }
+
+    return new TextDecoder(encoding);
+};
@@ -41,6 +41,7 @@ module.exports = {
     eofInComment: 'eof-in-comment',
     incorrectlyClosedComment: 'incorrectly-closed-comment',
     eofInCdata: 'eof-in-cdata',
+    eofInOpaqueIsland: 'eof-in-opaque-island',
     absenceOfDigitsInNumericCharacterReference: 'absence-of-digits-in-numeric-character-reference',
     nullCharacterReference: 'null-character-reference',
     surrogateCharacterReference: 'surrogate-character-reference',
@@ -17,7 +17,10 @@ exports.ATTRS = {
     NAME: 'name',
     COLOR: 'color',
     FACE: 'face',
-    SIZE: 'size'
+    SIZE: 'size',
+    CHARSET: 'charset',
+    HTTP_EQUIV: 'http-equiv',
+    CONTENT: 'content'
 };
 
 exports.DOCUMENT_MODE = {
@@ -0,0 +1,95 @@
+'use strict';
+
+//NOTE: the data of the node that affects its serialized form. It's stored in the raw source of the node,
+//so the serializer can find out if the node was modified after parsing.
+exports.getNodeData = function(node, treeAdapter) {
+    if (treeAdapter.isElementNode(node)) {
+        return {
+            tagName: treeAdapter.getTagName(node),
+            namespaceURI: treeAdapter.getNamespaceURI(node),
+            attrs: treeAdapter.getAttrList(node).map(attr => ({
+                name: attr.name,
+                value: attr.value,
+                namespace: attr.namespace,
+                prefix: attr.prefix
+            }))
+        };
+    }
+
+    if (treeAdapter.isTextNode(node)) {
+        return { data: treeAdapter.getTextNodeContent(node) };
+    }
+
+    if (treeAdapter.isCommentNode(node)) {
+        return { data: treeAdapter.getCommentNodeContent(node) };
+    }
+
+    if (isOpaqueNode(node, treeAdapter)) {
+        return { data: treeAdapter.getOpaqueNodeContent(node) };
+    }
+
+    if (treeAdapter.isDocumentTypeNode(node)) {
+        return {
+            name: treeAdapter.getDocumentTypeNodeName(node),
+            publicId: treeAdapter.getDocumentTypeNodePublicId(node),
+            systemId: treeAdapter.getDocumentTypeNodeSystemId(node)
+        };
+    }
+
+    return null;
+};
+
+exports.isNodeDataChanged = function(node, data, treeAdapter) {
+    if (treeAdapter.isElementNode(node)) {
+        return (
+            treeAdapter.getTagName(node) !== data.tagName ||
+            treeAdapter.getNamespaceURI(node) !== data.namespaceURI ||
+            isAttrListChanged(treeAdapter.getAttrList(node), data.attrs)
+        );
+    }
+
+    if (treeAdapter.isTextNode(node)) {
+        return treeAdapter.getTextNodeContent(node) !== data.data;
+    }
+
+    if (treeAdapter.isCommentNode(node)) {
+        return treeAdapter.getCommentNodeContent(node) !== data.data;
+    }
+
+    if (isOpaqueNode(node, treeAdapter)) {
+        return treeAdapter.getOpaqueNodeContent(node) !== data.data;
+    }
+
+    return (
+        treeAdapter.getDocumentTypeNodeName(node) !== data.name ||
+        treeAdapter.getDocumentTypeNodePublicId(node) !== data.publicId ||
+        treeAdapter.getDocumentTypeNodeSystemId(node) !== data.systemId
+    );
+};
+
+//NOTE: tree adapters are not required to support opaque nodes
+function isOpaqueNode(node, treeAdapter) {
+    return !!treeAdapter.isOpaqueNode && treeAdapter.isOpaqueNode(node);
+}
+
+function isAttrListChanged(attrs, originalAttrs) {
+    if (attrs.length !== originalAttrs.length) {
+        return true;
+    }
+
+    for (let i = 0; i < attrs.length; i++) {
+        const attr = attrs[i];
+        const originalAttr = originalAttrs[i];
+
+        if (
+            attr.name !== originalAttr.name ||
+            attr.value !== originalAttr.value ||
+            attr.namespace !== originalAttr.namespace ||
+            attr.prefix !== originalAttr.prefix
+        ) {
+            return true;
+        }
+    }
+
+    return false;
+}
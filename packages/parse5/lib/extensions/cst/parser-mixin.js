@@ -0,0 +1,224 @@
+'use strict';
+
+const Mixin = require('../../utils/mixin');
+const PreserveRawPreprocessorMixin = require('../preserve-raw/preprocessor-mixin');
+const nodeData = require('./node-data');
+const HTML = require('../../common/html');
+
+//Aliases
+const $ = HTML.TAG_NAMES;
+const NS = HTML.NAMESPACES;
+
+//NOTE: the source between pieces is stored as a gap before the next piece
+const GAP_KEYS = {
+    startTag: 'before',
+    html: 'before',
+    endTag: 'after'
+};
+
+class CstParserMixin extends Mixin {
+    constructor(parser) {
+        super(parser);
+
+        this.parser = parser;
+        this.treeAdapter = this.parser.treeAdapter;
+        this.sourceTracker = null;
+        this.pieces = null;
+        this.omittedTags = null;
+        this.lastRank = -1;
+    }
+
+    _getChildNodesHolder(node) {
+        const isTemplate =
+            this.treeAdapter.isElementNode(node) &&
+            this.treeAdapter.getTagName(node) === $.TEMPLATE &&
+            this.treeAdapter.getNamespaceURI(node) === NS.HTML;
+
+        return isTemplate ? this.treeAdapter.getTemplateContent(node) : node;
+    }
+
+    _addPiece(rawSource, key, loc) {
+        this.pieces.push({
+            rawSource,
+            key,
+            start: loc.startOffset,
+            end: loc.endOffset,
+            idx: this.pieces.length,
+            rank: -1
+        });
+    }
+
+    _addOmittedTag(rawSource, key) {
+        this.omittedTags.push({ rawSource, key, pieceIdx: this.pieces.length });
+    }
+
+    //NOTE: returns the end offset of the last piece of the node's subtree in the source
+    _collectNodePieces(node) {
+        const loc = this.treeAdapter.getNodeSourceCodeLocation(node);
+        const rawSource = {
+            before: '',
+            original: nodeData.getNodeData(node, this.treeAdapter)
+        };
+
+        this.treeAdapter.setNodeRawSource(node, rawSource);
+
+        if (!this.treeAdapter.isElementNode(node)) {
+            rawSource.html = null;
+
+            if (loc) {
+                this._addPiece(rawSource, 'html', loc);
+
+                return loc.endOffset;
+            }
+
+            return -1;
+        }
+
+        //NOTE: elements without location are implied by the parser, so their tags are omitted
+        rawSource.startTag = '';
+        rawSource.after = '';
+        rawSource.endTag = '';
+
+        if (loc && loc.startTag) {
+            this._addPiece(rawSource, 'startTag', loc.startTag);
+        } else {
+            this._addOmittedTag(rawSource, 'startTag');
+        }
+
+        const lastPieceEnd = Math.max(loc && loc.startTag ? loc.startTag.endOffset : -1, this._collectPieces(node));
+
+        //NOTE: the content that follows the end tag in the source can be appended to the element
+        //(e.g. whitespace after </body>). In this case the end tag remains a part of the gap.
+        if (loc && loc.endTag && loc.endTag.startOffset >= lastPieceEnd) {
+            this._addPiece(rawSource, 'endTag', loc.endTag);
+
+            return loc.endTag.endOffset;
+        }
+
+        this._addOmittedTag(rawSource, 'endTag');
+
+        return lastPieceEnd;
+    }
+
+    _collectPieces(parentNode) {
+        const childNodes = this.treeAdapter.getChildNodes(this._getChildNodesHolder(parentNode));
+        let lastPieceEnd = -1;
+
+        for (let i = 0; i < childNodes.length; i++) {
+            lastPieceEnd = Math.max(lastPieceEnd, this._collectNodePieces(childNodes[i]));
+        }
+
+        return lastPieceEnd;
+    }
+
+    _setPiecesSource(sortedPieces) {
+        let pos = 0;
+        let prevPiece = null;
+        let rank = 0;
+
+        for (const piece of sortedPieces) {
+            if (piece.start < pos) {
+                //NOTE: formatting elements that were reconstructed by the parser share the start tag with
+                //the original element, so their start tags are omitted, just like in the source.
+                //Other overlapping pieces can't be emitted as is, so they are serialized from the tree.
+                if (piece.key === 'startTag' && prevPiece.key === 'startTag') {
+                    piece.rawSource.startTag = '';
+                    piece.rank = -1;
+                    this.omittedTags.push({ rawSource: piece.rawSource, key: 'startTag', pieceIdx: piece.idx });
+                    continue;
+                }
+
+                piece.rawSource[piece.key] = null;
+                prevPiece.rawSource[prevPiece.key] = null;
+            } else {
+                piece.rawSource[GAP_KEYS[piece.key]] = this.sourceTracker.getSource(pos, piece.start);
+                piece.rawSource[piece.key] = this.sourceTracker.getSource(piece.start, piece.end);
+            }
+
+            piece.rank = rank++;
+            pos = Math.max(pos, piece.end);
+            prevPiece = piece;
+        }
+
+        this.lastRank = rank - 1;
+
+        return pos;
+    }
+
+    //NOTE: returns the rank of the closest emitted piece in the given direction
+    _getNeighbourRank(pieceIdx, step) {
+        for (let i = pieceIdx; i >= 0 && i < this.pieces.length; i += step) {
+            if (this.pieces[i].rank !== -1) {
+                return this.pieces[i].rank;
+            }
+        }
+
+        return step > 0 ? this.lastRank + 1 : -1;
+    }
+
+    //NOTE: omitted tags are implied by the parser from the surrounding content. If the content around
+    //the tag in the tree differs from the one in the source (e.g. the content was moved out of a table),
+    //the tag will not be implied once the output is parsed, so it's serialized from the tree.
+    _checkOmittedTags() {
+        for (const omittedTag of this.omittedTags) {
+            const prevRank = this._getNeighbourRank(omittedTag.pieceIdx - 1, -1);
+            const nextRank = this._getNeighbourRank(omittedTag.pieceIdx, 1);
+
+            if (nextRank !== prevRank + 1) {
+                omittedTag.rawSource[omittedTag.key] = null;
+            }
+        }
+    }
+
+    _setRawSources(root) {
+        this.pieces = [];
+        this.omittedTags = [];
+
+        this._collectPieces(root);
+
+        const sortedPieces = this.pieces
+            .slice()
+            .sort((piece1, piece2) => piece1.start - piece2.start || piece1.idx - piece2.idx);
+
+        const sourceEnd = this._setPiecesSource(sortedPieces);
+
+        this._checkOmittedTags();
+
+        this.treeAdapter.setNodeRawSource(root, {
+            after: this.sourceTracker.getSource(sourceEnd, this.sourceTracker.getSourceLength())
+        });
+
+        this.pieces = null;
+        this.omittedTags = null;
+    }
+
+    _getOverriddenMethods(mxn, orig) {
+        return {
+            _bootstrap(document, fragmentContext) {
+                orig._bootstrap.call(this, document, fragmentContext);
+
+                //NOTE: the raw source is obtained once parsing is finished, so we keep the whole input
+                mxn.sourceTracker = Mixin.install(this.tokenizer.preprocessor, PreserveRawPreprocessorMixin);
+            },
+
+            _runParsingLoop(scriptHandler) {
+                orig._runParsingLoop.call(this, scriptHandler);
+
+                if (this.stopped && !this.pendingEncodingChange) {
+                    mxn._setRawSources(this.document);
+                }
+            },
+
+            parseFragment(html, fragmentContext) {
+                const fragment = orig.parseFragment.call(this, html, fragmentContext);
+
+                //NOTE: the raw source of the fake document is computed by the parsing loop
+                this.treeAdapter.setNodeRawSource(fragment, this.treeAdapter.getNodeRawSource(this.document));
+
+                return fragment;
+            }
+        };
+    }
+}
+
+module.exports = CstParserMixin;
@@ -9,11 +9,35 @@ class ErrorReportingParserMixin extends ErrorReportingMixinBase {
     constructor(parser, opts) {
         super(parser, opts);
 
-        this.opts = opts;
+        //NOTE: errors of the parsing pass that can be restarted with the new encoding are held
+        //until the pass is committed, so the errors of the abandoned pass are not reported.
+        this.reportParseError = this.onParseError;
+        this.onParseError = err => this._addError(err);
+        this.bufferedErrors = null;
+
+        this.opts = Object.assign({}, opts, { onParseError: this.onParseError });
         this.ctLoc = null;
         this.locBeforeToken = false;
     }
 
+    _addError(err) {
+        if (this.bufferedErrors) {
+            this.bufferedErrors.push(err);
+        } else {
+            this.reportParseError(err);
+        }
+    }
+
+    _flushBufferedErrors() {
+        const errors = this.bufferedErrors;
+
+        this.bufferedErrors = null;
+
+        if (errors) {
+            errors.forEach(err => this.reportParseError(err));
+        }
+    }
+
     _setErrorLocation(err) {
         if (this.ctLoc) {
             err.startLine = this.ctLoc.startLine;
@@ -32,7 +56,23 @@ class ErrorReportingParserMixin extends ErrorReportingMixinBase {
                 orig._bootstrap.call(this, document, fragmentContext);
 
                 Mixin.install(this.tokenizer, ErrorReportingTokenizerMixin, mxn.opts);
-                Mixin.install(this.tokenizer, LocationInfoTokenizerMixin);
+                Mixin.install(this.tokenizer, LocationInfoTokenizerMixin, mxn.opts);
+            },
+
+            _parseDocument(html, encodingOverride) {
+                mxn.bufferedErrors = [];
+
+                const document = orig._parseDocument.call(this, html, encodingOverride);
+
+                //NOTE: the pass is abandoned if it was not committed
+                mxn.bufferedErrors = null;
+
+                return document;
+            },
+
+            _commitParsingPass() {
+                orig._commitParsingPass.call(this);
+                mxn._flushBufferedErrors();
             },
 
             _processInputToken(token) {
@@ -8,7 +8,7 @@ class ErrorReportingPreprocessorMixin extends ErrorReportingMixinBase {
     constructor(preprocessor, opts) {
         super(preprocessor, opts);
 
-        this.posTracker = Mixin.install(preprocessor, PositionTrackingPreprocessorMixin);
+        this.posTracker = Mixin.install(preprocessor, PositionTrackingPreprocessorMixin, opts);
         this.lastErrOffset = -1;
     }
 
@@ -2,16 +2,109 @@
 
 const ErrorReportingMixinBase = require('./mixin-base');
 const ErrorReportingPreprocessorMixin = require('./preprocessor-mixin');
+const getTokenizerRecovery = require('./tokenizer-recovery');
 const Mixin = require('../../utils/mixin');
+const Tokenizer = require('../../tokenizer');
+const ERR = require('../../common/error-codes');
+
+//NOTE: these errors are detected on the code point that follows the affected input (e.g. the character
+//reference that is not terminated by a semicolon), so we match them with the token by the previous offset.
+//Numeric character reference errors are detected once the reference is consumed, including its semicolon.
+const ERRORS_AFTER_INPUT = [
+    ERR.missingSemicolonAfterCharacterReference,
+    ERR.absenceOfDigitsInNumericCharacterReference,
+    ERR.nullCharacterReference,
+    ERR.characterReferenceOutsideUnicodeRange,
+    ERR.surrogateCharacterReference,
+    ERR.noncharacterCharacterReference,
+    ERR.controlCharacterReference
+];
 
 class ErrorReportingTokenizerMixin extends ErrorReportingMixinBase {
     constructor(tokenizer, opts) {
         super(tokenizer, opts);
 
-        const preprocessorMixin = Mixin.install(tokenizer.preprocessor, ErrorReportingPreprocessorMixin, opts);
+        this.tokenizer = tokenizer;
+        this.pendingErrors = [];
+
+        //NOTE: errors are reported once the affected token is emitted, so they can be provided with its location
+        this.reportParseError = this.onParseError;
+        this.onParseError = err => this._addPendingError(err);
+
+        const preprocessorMixin = Mixin.install(tokenizer.preprocessor, ErrorReportingPreprocessorMixin, {
+            onParseError: this.onParseError,
+            positionEncoding: opts.positionEncoding
+        });
 
         this.posTracker = preprocessorMixin.posTracker;
     }
+
+    _addPendingError(err) {
+        err.recovery = getTokenizerRecovery(err.code, this.tokenizer);
+        err.tokenLocation = null;
+
+        this.pendingErrors.push({
+            err,
+            offset: ERRORS_AFTER_INPUT.indexOf(err.code) === -1 ? err.startOffset : err.startOffset - 1
+        });
+    }
+
+    //NOTE: tokens get their location if the LocationInfoTokenizerMixin is installed. Otherwise, all pending
+    //errors are reported without the token location.
+    _reportPendingErrors(token) {
+        const loc = token.location;
+        const reportAll = !loc || token.type === Tokenizer.EOF_TOKEN;
+        let i = 0;
+
+        for (; i < this.pendingErrors.length; i++) {
+            const { err, offset } = this.pendingErrors[i];
+
+            if (!reportAll && offset >= loc.endOffset) {
+                break;
+            }
+
+            //NOTE: errors that precede the token belong to the markup that was ignored (e.g. `</>`)
+            if (loc && offset >= loc.startOffset) {
+                err.tokenLocation = {
+                    startLine: loc.startLine,
+                    startCol: loc.startCol,
+                    startOffset: loc.startOffset,
+                    endLine: loc.endLine,
+                    endCol: loc.endCol,
+                    endOffset: loc.endOffset
+                };
+            }
+
+            this.reportParseError(err);
+        }
+
+        this.pendingErrors.splice(0, i);
+    }
+
+    _getOverriddenMethods(mxn, orig) {
+        return {
+            _err(code) {
+                mxn._reportError(code);
+            },
+
+            _emitCurrentToken() {
+                const ct = this.currentToken;
+
+                orig._emitCurrentToken.call(this);
+                mxn._reportPendingErrors(ct);
+            },
+
+            _emitCurrentCharacterToken() {
+                const ct = this.currentCharacterToken;
+
+                orig._emitCurrentCharacterToken.call(this);
+
+                if (ct) {
+                    mxn._reportPendingErrors(ct);
+                }
+            }
+        };
+    }
 }
 
 module.exports = ErrorReportingTokenizerMixin;
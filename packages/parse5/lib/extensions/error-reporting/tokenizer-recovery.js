@@ -0,0 +1,107 @@
+'use strict';
+
+const Tokenizer = require('../../tokenizer');
+const ERR = require('../../common/error-codes');
+const unicode = require('../../common/unicode');
+
+//Aliases
+const $ = unicode.CODE_POINTS;
+
+//States
+const END_TAG_OPEN_STATE = 'END_TAG_OPEN_STATE';
+
+const KEPT_AS_IS = 'The character is kept as is';
+const REPLACED_WITH_REPLACEMENT_CHARACTER = 'The character is replaced with U+FFFD REPLACEMENT CHARACTER';
+const DROPPED_TAG = 'The tag is ignored';
+const FORCED_QUIRKS = 'The DOCTYPE forces the quirks mode';
+
+//Utils
+function toCodePointNotation(cp) {
+    const hex = cp.toString(16).toUpperCase();
+
+    return 'U+' + '0000'.substr(hex.length) + hex;
+}
+
+//NOTE: descriptions of the recovery performed by the tokenizer for each error. Some of them depend on the
+//tokenizer state, so they are computed once the error is detected.
+const RECOVERY = {
+    [ERR.controlCharacterInInputStream]: KEPT_AS_IS,
+    [ERR.noncharacterInInputStream]: KEPT_AS_IS,
+    [ERR.surrogateInInputStream]: KEPT_AS_IS,
+    [ERR.unexpectedNullCharacter]: tokenizer =>
+        tokenizer.state === Tokenizer.MODE.DATA
+            ? 'The character is emitted as is, it is handled by the tree construction stage'
+            : REPLACED_WITH_REPLACEMENT_CHARACTER,
+    [ERR.endTagWithAttributes]: 'The attributes of the end tag are ignored',
+    [ERR.endTagWithTrailingSolidus]: 'The solidus is ignored',
+    [ERR.unexpectedSolidusInTag]: 'The solidus is treated as whitespace',
+    [ERR.unexpectedQuestionMarkInsteadOfTagName]: 'The markup is treated as a bogus comment',
+    [ERR.invalidFirstCharacterOfTagName]: tokenizer =>
+        tokenizer.state === END_TAG_OPEN_STATE
+            ? 'The markup is treated as a bogus comment'
+            : 'The "<" is treated as text',
+    [ERR.eofBeforeTagName]: tokenizer =>
+        tokenizer.state === END_TAG_OPEN_STATE ? 'The "</" is treated as text' : 'The "<" is treated as text',
+    [ERR.missingEndTagName]: 'The "</>" is ignored',
+    [ERR.unexpectedEqualsSignBeforeAttributeName]: 'The equals sign is treated as the start of the attribute name',
+    [ERR.unexpectedCharacterInAttributeName]: 'The character is treated as a part of the attribute name',
+    [ERR.missingAttributeValue]: 'The attribute value is empty',
+    [ERR.missingWhitespaceBetweenAttributes]: 'The attributes are treated as if they were separated by whitespace',
+    [ERR.unexpectedCharacterInUnquotedAttributeValue]: 'The character is treated as a part of the attribute value',
+    [ERR.duplicateAttribute]: tokenizer => `The duplicate "${tokenizer.currentAttr.name}" attribute is ignored`,
+    [ERR.eofInTag]: DROPPED_TAG,
+    [ERR.unknownNamedCharacterReference]: 'The text is kept as is',
+    [ERR.missingSemicolonAfterCharacterReference]: tokenizer => {
+        if (tokenizer.tempBuff[1] === $.NUMBER_SIGN) {
+            return 'The character reference is treated as if it was terminated by a semicolon';
+        }
+
+        const name = String.fromCodePoint.apply(null, tokenizer.tempBuff);
+
+        return `"${name}" is treated as the "${name};" character reference`;
+    },
+    [ERR.absenceOfDigitsInNumericCharacterReference]: 'The text is kept as is',
+    [ERR.nullCharacterReference]: REPLACED_WITH_REPLACEMENT_CHARACTER,
+    [ERR.surrogateCharacterReference]: REPLACED_WITH_REPLACEMENT_CHARACTER,
+    [ERR.characterReferenceOutsideUnicodeRange]: REPLACED_WITH_REPLACEMENT_CHARACTER,
+    [ERR.noncharacterCharacterReference]: KEPT_AS_IS,
+    [ERR.controlCharacterReference]: tokenizer => {
+        const replacement = Tokenizer.C1_CONTROLS_REFERENCE_REPLACEMENTS[tokenizer.charRefCode];
+
+        return replacement
+            ? `The character is replaced with the windows-1252 character ${toCodePointNotation(replacement)}`
+            : KEPT_AS_IS;
+    },
+    [ERR.cdataInHtmlContent]: 'The CDATA section is treated as a bogus comment',
+    [ERR.incorrectlyOpenedComment]: 'The markup is treated as a bogus comment',
+    [ERR.abruptClosingOfEmptyComment]: 'The comment is closed',
+    [ERR.nestedComment]: 'The "<!--" is treated as a part of the comment',
+    [ERR.incorrectlyClosedComment]: 'The comment is closed',
+    [ERR.eofInComment]: 'The comment is closed',
+    [ERR.eofInCdata]: 'The CDATA section is closed',
+    [ERR.eofInScriptHtmlCommentLikeText]: 'The script content is closed',
+    [ERR.eofInOpaqueIsland]: 'The island is closed',
+    [ERR.eofInDoctype]: FORCED_QUIRKS,
+    [ERR.missingWhitespaceBeforeDoctypeName]: 'The DOCTYPE is treated as if the name was preceded by whitespace',
+    [ERR.missingDoctypeName]: FORCED_QUIRKS,
+    [ERR.invalidCharacterSequenceAfterDoctypeName]: FORCED_QUIRKS,
+    [ERR.missingWhitespaceAfterDoctypePublicKeyword]:
+        'The DOCTYPE is treated as if the keyword was followed by whitespace',
+    [ERR.missingWhitespaceAfterDoctypeSystemKeyword]:
+        'The DOCTYPE is treated as if the keyword was followed by whitespace',
+    [ERR.missingWhitespaceBetweenDoctypePublicAndSystemIdentifiers]:
+        'The DOCTYPE is treated as if the identifiers were separated by whitespace',
+    [ERR.missingQuoteBeforeDoctypePublicIdentifier]: FORCED_QUIRKS,
+    [ERR.missingQuoteBeforeDoctypeSystemIdentifier]: FORCED_QUIRKS,
+    [ERR.missingDoctypePublicIdentifier]: FORCED_QUIRKS,
+    [ERR.missingDoctypeSystemIdentifier]: FORCED_QUIRKS,
+    [ERR.abruptDoctypePublicIdentifier]: FORCED_QUIRKS,
+    [ERR.abruptDoctypeSystemIdentifier]: FORCED_QUIRKS,
+    [ERR.unexpectedCharacterAfterDoctypeSystemIdentifier]: 'The characters up to the end of the DOCTYPE are ignored'
+};
+
+module.exports = function getTokenizerRecovery(code, tokenizer) {
+    const recovery = RECOVERY[code];
+
+    return typeof recovery === 'function' ? recovery(tokenizer) : recovery || null;
+};
@@ -10,9 +10,10 @@ const HTML = require('../../common/html');
 const $ = HTML.TAG_NAMES;
 
 class LocationInfoParserMixin extends Mixin {
-    constructor(parser) {
+    constructor(parser, opts) {
         super(parser);
 
+        this.opts = opts;
         this.parser = parser;
         this.treeAdapter = this.parser.treeAdapter;
         this.posTracker = null;
@@ -67,7 +68,7 @@ class LocationInfoParserMixin extends Mixin {
                 mxn.lastFosterParentingLocation = null;
                 mxn.currentToken = null;
 
-                const tokenizerMixin = Mixin.install(this.tokenizer, LocationInfoTokenizerMixin);
+                const tokenizerMixin = Mixin.install(this.tokenizer, LocationInfoTokenizerMixin, mxn.opts);
 
                 mxn.posTracker = tokenizerMixin.posTracker;
 
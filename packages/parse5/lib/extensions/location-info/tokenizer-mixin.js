@@ -5,15 +5,64 @@ const Tokenizer = require('../../tokenizer');
 const PositionTrackingPreprocessorMixin = require('../position-tracking/preprocessor-mixin');
 
 class LocationInfoTokenizerMixin extends Mixin {
-    constructor(tokenizer) {
+    constructor(tokenizer, opts) {
         super(tokenizer);
 
         this.tokenizer = tokenizer;
-        this.posTracker = Mixin.install(tokenizer.preprocessor, PositionTrackingPreprocessorMixin);
+        this.posTracker = Mixin.install(tokenizer.preprocessor, PositionTrackingPreprocessorMixin, opts);
         this.currentAttrLocation = null;
         this.ctLoc = null;
     }
 
+    //NOTE: locations are shared with the unfinished tokens, so we store references to them instead of copies
+    snapshot() {
+        return {
+            positionEncoding: this.posTracker.positionEncoding,
+            posTracker: this.posTracker.snapshot(),
+            ctLoc: this._getLocationSnapshot(this.ctLoc),
+            currentAttrLocation: this._getLocationSnapshot(this.currentAttrLocation)
+        };
+    }
+
+    //NOTE: should be called once the state of the tokenizer is restored
+    restore(snapshot) {
+        const tokenizer = this.tokenizer;
+
+        this.posTracker.restore(snapshot.posTracker);
+
+        tokenizer.tokenQueue.concat(tokenizer.currentToken || []).forEach(token => {
+            //NOTE: attribute locations are stored in the object without a prototype
+            if (token.location && token.location.attrs) {
+                token.location.attrs = Object.assign(Object.create(null), token.location.attrs);
+            }
+        });
+
+        this.ctLoc = this._restoreLocation(snapshot.ctLoc);
+        this.currentAttrLocation = this._restoreLocation(snapshot.currentAttrLocation);
+    }
+
+    _getTokenLocations() {
+        const { currentToken, currentCharacterToken, currentAttr } = this.tokenizer;
+        const ctLoc = (currentToken && currentToken.location) || null;
+
+        return {
+            currentToken: ctLoc,
+            currentCharacterToken: (currentCharacterToken && currentCharacterToken.location) || null,
+            currentAttr: (ctLoc && ctLoc.attrs && currentAttr && ctLoc.attrs[currentAttr.name]) || null
+        };
+    }
+
+    _getLocationSnapshot(location) {
+        const tokenLocations = this._getTokenLocations();
+        const ref = Object.keys(tokenLocations).find(key => location !== null && tokenLocations[key] === location);
+
+        return ref ? { ref } : { location: location && JSON.parse(JSON.stringify(location)) };
+    }
+
+    _restoreLocation(snapshot) {
+        return snapshot.ref ? this._getTokenLocations()[snapshot.ref] : snapshot.location;
+    }
+
     _getCurrentLocation() {
         return {
             startLine: this.posTracker.line,
@@ -57,6 +106,11 @@ class LocationInfoTokenizerMixin extends Mixin {
                 this.currentToken.location = mxn.ctLoc;
             },
 
+            _createOpaqueIslandToken() {
+                orig._createOpaqueIslandToken.call(this);
+                this.currentToken.location = mxn.ctLoc;
+            },
+
             _createDoctypeToken(initialName) {
                 orig._createDoctypeToken.call(this, initialName);
                 this.currentToken.location = mxn.ctLoc;
@@ -2,39 +2,148 @@
 
 const Mixin = require('../../utils/mixin');
 
+function isHighSurrogate(cu) {
+    return cu >= 0xd800 && cu <= 0xdbff;
+}
+
+function isLowSurrogate(cu) {
+    return cu >= 0xdc00 && cu <= 0xdfff;
+}
+
+//NOTE: returns the length of the UTF-16 code unit in the given encoding. The high surrogate is counted as a lone
+//surrogate and the following low surrogate adds the rest of the pair's length, since the low surrogate may not be
+//written yet. Lone surrogates are counted as U+FFFD REPLACEMENT CHARACTER.
+const UNIT_LENGTH_GETTERS = {
+    'utf-16': null,
+
+    'utf-8'(cu, prevCu) {
+        if (cu < 0x80) {
+            return 1;
+        }
+
+        if (cu < 0x800) {
+            return 2;
+        }
+
+        return isLowSurrogate(cu) && isHighSurrogate(prevCu) ? 1 : 3;
+    },
+
+    codepoint(cu, prevCu) {
+        return isLowSurrogate(cu) && isHighSurrogate(prevCu) ? 0 : 1;
+    }
+};
+
 class PositionTrackingPreprocessorMixin extends Mixin {
-    constructor(preprocessor) {
+    constructor(preprocessor, opts) {
         super(preprocessor);
 
+        const positionEncoding = (opts && opts.positionEncoding) || 'utf-16';
+
+        if (!(positionEncoding in UNIT_LENGTH_GETTERS)) {
+            throw new Error(`Unknown position encoding: "${positionEncoding}"`);
+        }
+
         this.preprocessor = preprocessor;
+        this.positionEncoding = positionEncoding;
+        this.getUnitLength = UNIT_LENGTH_GETTERS[positionEncoding];
         this.isEol = false;
-        this.lineStartPos = 0;
+        this.lineStartOffset = 0;
         this.droppedBufferSize = 0;
 
+        this.lastPos = 0;
+        this.lastBufferOffset = 0;
+        this.unitBeforeBuffer = -1;
+
         this.offset = 0;
         this.col = 0;
         this.line = 1;
     }
 
+    snapshot() {
+        return {
+            isEol: this.isEol,
+            lineStartOffset: this.lineStartOffset,
+            droppedBufferSize: this.droppedBufferSize,
+            lastPos: this.lastPos,
+            lastBufferOffset: this.lastBufferOffset,
+            unitBeforeBuffer: this.unitBeforeBuffer,
+            offset: this.offset,
+            col: this.col,
+            line: this.line
+        };
+    }
+
+    restore(snapshot) {
+        this.isEol = snapshot.isEol;
+        this.lineStartOffset = snapshot.lineStartOffset;
+        this.droppedBufferSize = snapshot.droppedBufferSize;
+        this.lastPos = snapshot.lastPos;
+        this.lastBufferOffset = snapshot.lastBufferOffset;
+        this.unitBeforeBuffer = snapshot.unitBeforeBuffer;
+        this.offset = snapshot.offset;
+        this.col = snapshot.col;
+        this.line = snapshot.line;
+    }
+
+    _getUnitLength(pos) {
+        const html = this.preprocessor.html;
+
+        //NOTE: positions beyond the buffer are EOF positions
+        if (pos >= html.length) {
+            return 1;
+        }
+
+        return this.getUnitLength(html.charCodeAt(pos), pos > 0 ? html.charCodeAt(pos - 1) : this.unitBeforeBuffer);
+    }
+
+    //NOTE: returns the offset of the code unit from the start of the buffer in the given encoding. The position
+    //changes only by a few code units at a time, so we count the offset from the last requested position.
+    _getBufferOffset(pos) {
+        if (!this.getUnitLength || pos < 0) {
+            return pos;
+        }
+
+        for (; this.lastPos < pos; this.lastPos++) {
+            this.lastBufferOffset += this._getUnitLength(this.lastPos);
+        }
+
+        while (this.lastPos > pos) {
+            this.lastPos--;
+            this.lastBufferOffset -= this._getUnitLength(this.lastPos);
+        }
+
+        return this.lastBufferOffset;
+    }
+
     _getOverriddenMethods(mxn, orig) {
         return {
             advance() {
                 const pos = this.pos + 1;
                 const ch = this.html[pos];
-
-                //NOTE: LF should be in the last column of the line
-                if (mxn.isEol) {
-                    mxn.isEol = false;
-                    mxn.line++;
-                    mxn.lineStartPos = pos;
-                }
-
-                if (ch === '\n' || (ch === '\r' && this.html[pos + 1] !== '\n')) {
-                    mxn.isEol = true;
+                const offset = mxn.droppedBufferSize + mxn._getBufferOffset(pos);
+
+                //NOTE: LF that follows CR belongs to the same line break. CR can be the last character of
+                //the chunk, so we can't peek LF when we consume CR. If the line was already started
+                //(e.g. on the end of the chunk), the LF is moved to the previous line.
+                if (ch === '\n' && this.skipNextNewLine) {
+                    if (!mxn.isEol) {
+                        mxn.lineStartOffset = offset + 1;
+                    }
+                } else {
+                    //NOTE: line break should be in the last column of the line
+                    if (mxn.isEol) {
+                        mxn.isEol = false;
+                        mxn.line++;
+                        mxn.lineStartOffset = offset;
+                    }
+
+                    if (ch === '\n' || ch === '\r') {
+                        mxn.isEol = true;
+                    }
                 }
 
-                mxn.col = pos - mxn.lineStartPos + 1;
-                mxn.offset = mxn.droppedBufferSize + pos;
+                mxn.col = offset - mxn.lineStartOffset + 1;
+                mxn.offset = offset;
 
                 return orig.advance.call(this);
             },
@@ -43,19 +152,36 @@ class PositionTrackingPreprocessorMixin extends Mixin {
                 orig.retreat.call(this);
 
                 mxn.isEol = false;
-                mxn.col = this.pos - mxn.lineStartPos + 1;
+                mxn.col = mxn.droppedBufferSize + mxn._getBufferOffset(this.pos) - mxn.lineStartOffset + 1;
+            },
+
+            //NOTE: cached offset can't be moved beyond the current position, since the new input is
+            //written (or inserted) after it
+            write(chunk, isLastChunk) {
+                mxn._getBufferOffset(Math.max(this.pos, 0));
+                orig.write.call(this, chunk, isLastChunk);
+            },
+
+            insertHtmlAtCurrentPos(chunk) {
+                mxn._getBufferOffset(Math.max(this.pos, 0));
+                orig.insertHtmlAtCurrentPos.call(this, chunk);
             },
 
             dropParsedChunk() {
                 const prevPos = this.pos;
+                const droppedOffset = mxn._getBufferOffset(prevPos);
+                const unitBeforeBuffer = this.html.charCodeAt(prevPos - 1);
 
                 orig.dropParsedChunk.call(this);
 
-                const reduction = prevPos - this.pos;
-
-                mxn.lineStartPos -= reduction;
-                mxn.droppedBufferSize += reduction;
-                mxn.offset = mxn.droppedBufferSize + this.pos;
+                //NOTE: offsets are counted from the start of the input, so they are not affected. The current
+                //position can point to the low surrogate of the consumed pair, so it's not used to update them.
+                if (this.pos !== prevPos) {
+                    mxn.droppedBufferSize += droppedOffset;
+                    mxn.lastPos = 0;
+                    mxn.lastBufferOffset = 0;
+                    mxn.unitBeforeBuffer = unitBeforeBuffer;
+                }
             }
         };
     }
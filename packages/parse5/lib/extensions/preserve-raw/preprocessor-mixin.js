@@ -0,0 +1,47 @@
+'use strict';
+
+const Mixin = require('../../utils/mixin');
+
+class PreserveRawPreprocessorMixin extends Mixin {
+    constructor(preprocessor) {
+        super(preprocessor);
+
+        this.preprocessor = preprocessor;
+        this.droppedBufferSize = 0;
+
+        //NOTE: the source starting from this offset belongs to the tokens that are not emitted yet
+        this.pendingSourceOffset = 0;
+    }
+
+    getOffset() {
+        return this.droppedBufferSize + this.preprocessor.pos;
+    }
+
+    getSource(startOffset, endOffset) {
+        return this.preprocessor.html.substring(
+            startOffset - this.droppedBufferSize,
+            endOffset - this.droppedBufferSize
+        );
+    }
+
+    getSourceLength() {
+        return this.droppedBufferSize + this.preprocessor.html.length;
+    }
+
+    _getOverriddenMethods(mxn, orig) {
+        return {
+            dropParsedChunk() {
+                //NOTE: keep the buffer until the source of pending tokens is obtained
+                if (mxn.pendingSourceOffset >= mxn.getOffset()) {
+                    const prevPos = this.pos;
+
+                    orig.dropParsedChunk.call(this);
+
+                    mxn.droppedBufferSize += prevPos - this.pos;
+                }
+            }
+        };
+    }
+}
+
+module.exports = PreserveRawPreprocessorMixin;
@@ -0,0 +1,291 @@
+'use strict';
+
+const Mixin = require('../../utils/mixin');
+const Tokenizer = require('../../tokenizer');
+const PreserveRawPreprocessorMixin = require('./preprocessor-mixin');
+const unicode = require('../../common/unicode');
+
+//Aliases
+const $ = unicode.CODE_POINTS;
+
+//NOTE: states in which the tokenizer emits the `<` code point it has just consumed.
+//In other states the emitted `<` is the one that was consumed earlier.
+const LESS_THAN_SIGN_EMITTING_STATES = {
+    [Tokenizer.MODE.PLAINTEXT]: true,
+    CDATA_SECTION_STATE: true,
+    SCRIPT_DATA_DOUBLE_ESCAPED_STATE: true,
+    SCRIPT_DATA_DOUBLE_ESCAPED_DASH_STATE: true,
+    SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH_STATE: true
+};
+
+//NOTE: states in which the tokenizer emits `]` code points of the CDATA section end that was not completed.
+//Values are the distances from the current code point to the first emitted one.
+const CDATA_SECTION_BRACKET_STATES = {
+    CDATA_SECTION_BRACKET_STATE: 1,
+    CDATA_SECTION_END_STATE: 2
+};
+
+//NOTE: states aren't exposed by the tokenizer, so we refer to them by their names
+const TAG_OPEN_STATE = 'TAG_OPEN_STATE';
+const CHARACTER_REFERENCE_STATE = 'CHARACTER_REFERENCE_STATE';
+const BEFORE_ATTRIBUTE_VALUE_STATE = 'BEFORE_ATTRIBUTE_VALUE_STATE';
+const ATTRIBUTE_VALUE_UNQUOTED_STATE = 'ATTRIBUTE_VALUE_UNQUOTED_STATE';
+const AFTER_ATTRIBUTE_VALUE_QUOTED_STATE = 'AFTER_ATTRIBUTE_VALUE_QUOTED_STATE';
+
+const STATE_NAME_REGEX = /_STATE$/;
+const LESS_THAN_SIGN_STATE_REGEX = /_LESS_THAN_SIGN_STATE$/;
+const QUOTED_ATTR_VALUE_REGEX = /^([ \n\t\f\r]*=[ \n\t\f\r]*)(["'])([\s\S]*)\2$/;
+const UNQUOTED_ATTR_VALUE_REGEX = /^([ \n\t\f\r]*=[ \n\t\f\r]*)([\s\S]*)$/;
+
+class PreserveRawTokenizerMixin extends Mixin {
+    constructor(tokenizer) {
+        super(tokenizer);
+
+        this.tokenizer = tokenizer;
+        this.sourceTracker = Mixin.install(tokenizer.preprocessor, PreserveRawPreprocessorMixin);
+
+        //NOTE: the source is split into tokens without gaps, so each token starts where the previous one ends
+        this.lastTokenEnd = 0;
+
+        this.state = '';
+        this.cp = $.EOF;
+        this.cpStart = 0;
+        this.lessThanSignStart = 0;
+        this.charRefStart = 0;
+        this.inCharRefFlush = false;
+        this.characterTokenEnd = 0;
+
+        this.ctStart = 0;
+        this.ctPending = false;
+        this.ctAttrs = [];
+    }
+
+    _getSource(start, end) {
+        return this.sourceTracker.getSource(start, end);
+    }
+
+    _finishToken(token, end) {
+        token.raw = { html: this._getSource(this.lastTokenEnd, end) };
+
+        this.lastTokenEnd = end;
+        this.sourceTracker.pendingSourceOffset = end;
+    }
+
+    _finishTagToken(token, end) {
+        const tagNameStart = this.ctStart + (token.type === Tokenizer.END_TAG_TOKEN ? 2 : 1);
+        let prevAttrEnd = tagNameStart + token.tagName.length;
+
+        this._finishToken(token, end);
+
+        token.raw.tagName = this._getSource(tagNameStart, tagNameStart + token.tagName.length);
+
+        this.ctAttrs.forEach(entry => {
+            //NOTE: attributes that were dropped (e.g. duplicates) are available only as a part of the tag's source
+            if (entry.attr) {
+                entry.attr.raw = this._getAttrRaw(entry, prevAttrEnd);
+            }
+
+            prevAttrEnd = entry.end;
+        });
+
+        token.raw.trailing = this._getSource(prevAttrEnd, end);
+        this.ctAttrs = [];
+    }
+
+    _getAttrRaw(entry, prevAttrEnd) {
+        const raw = {
+            html: this._getSource(entry.start, entry.end),
+            name: this._getSource(entry.start, entry.nameEnd),
+            value: null,
+            quote: null,
+            before: this._getSource(prevAttrEnd, entry.start)
+        };
+
+        const valueSource = this._getSource(entry.nameEnd, entry.end);
+        const quotedMatch = entry.quoted && valueSource.match(QUOTED_ATTR_VALUE_REGEX);
+
+        if (quotedMatch) {
+            raw.quote = quotedMatch[2];
+            raw.value = quotedMatch[3];
+        } else if (valueSource) {
+            raw.quote = '';
+            raw.value = valueSource.match(UNQUOTED_ATTR_VALUE_REGEX)[2];
+        }
+
+        return raw;
+    }
+
+    _onTokenCreated(start) {
+        this.ctStart = start;
+        this.ctPending = true;
+    }
+
+    _onStateChange(state) {
+        const attrEntry = this.ctAttrs[this.ctAttrs.length - 1];
+
+        if (state === CHARACTER_REFERENCE_STATE) {
+            this.charRefStart = this.cpStart;
+        } else if (state === TAG_OPEN_STATE || LESS_THAN_SIGN_STATE_REGEX.test(state)) {
+            this.lessThanSignStart = this.cpStart;
+        } else if (state === BEFORE_ATTRIBUTE_VALUE_STATE) {
+            //NOTE: the equals sign is a part of the attribute's source, even if the value is missing
+            attrEntry.end = this.cpStart + 1;
+        } else if (state === AFTER_ATTRIBUTE_VALUE_QUOTED_STATE) {
+            attrEntry.end = this.cpStart + 1;
+            attrEntry.quoted = true;
+        }
+    }
+
+    //NOTE: returns the source offset of the code points that are about to be emitted
+    _getEmittedCharsStart(ch) {
+        if (this.inCharRefFlush) {
+            return this.charRefStart;
+        }
+
+        if (ch[0] === '<' && !LESS_THAN_SIGN_EMITTING_STATES[this.state]) {
+            return this.lessThanSignStart;
+        }
+
+        if (ch[0] === ']' && CDATA_SECTION_BRACKET_STATES[this.state]) {
+            return this.cpStart - CDATA_SECTION_BRACKET_STATES[this.state];
+        }
+
+        return this.cpStart;
+    }
+
+    _getOverriddenMethods(mxn, orig) {
+        const methods = {
+            _createStartTagToken() {
+                orig._createStartTagToken.call(this);
+                mxn._onTokenCreated(mxn.lessThanSignStart);
+                mxn.ctAttrs = [];
+            },
+
+            _createEndTagToken() {
+                orig._createEndTagToken.call(this);
+                mxn._onTokenCreated(mxn.lessThanSignStart);
+                mxn.ctAttrs = [];
+            },
+
+            _createCommentToken() {
+                orig._createCommentToken.call(this);
+                mxn._onTokenCreated(mxn.lessThanSignStart);
+            },
+
+            //NOTE: unlike other tokens, islands start with the code point that is being consumed
+            _createOpaqueIslandToken() {
+                orig._createOpaqueIslandToken.call(this);
+                mxn._onTokenCreated(mxn.cpStart);
+            },
+
+            _createDoctypeToken(initialName) {
+                orig._createDoctypeToken.call(this, initialName);
+                mxn._onTokenCreated(mxn.lessThanSignStart);
+            },
+
+            _createAttr(attrNameFirstCh) {
+                orig._createAttr.call(this, attrNameFirstCh);
+                mxn.ctAttrs.push({ attr: null, start: mxn.cpStart, nameEnd: -1, end: -1, quoted: false });
+            },
+
+            _leaveAttrName(toState) {
+                const attrs = this.currentToken.attrs;
+                const attrCount = attrs.length;
+                const entry = mxn.ctAttrs[mxn.ctAttrs.length - 1];
+
+                orig._leaveAttrName.call(this, toState);
+
+                entry.nameEnd = entry.end = mxn.cpStart;
+
+                if (attrs.length > attrCount) {
+                    entry.attr = attrs[attrs.length - 1];
+                }
+            },
+
+            _leaveAttrValue(toState) {
+                //NOTE: the end of quoted values is tracked on state transitions, since it's not always left explicitly
+                if (mxn.state === ATTRIBUTE_VALUE_UNQUOTED_STATE) {
+                    mxn.ctAttrs[mxn.ctAttrs.length - 1].end = mxn.cpStart;
+                }
+
+                orig._leaveAttrValue.call(this, toState);
+            },
+
+            _appendCharToCurrentCharacterToken(type, ch) {
+                const start = mxn._getEmittedCharsStart(ch);
+
+                //NOTE: the current token is abandoned if its source is emitted as characters (e.g. `</x` in RCDATA)
+                if (start <= mxn.ctStart) {
+                    mxn.ctPending = false;
+                }
+
+                if (this.currentCharacterToken && this.currentCharacterToken.type !== type) {
+                    mxn.characterTokenEnd = start;
+                }
+
+                orig._appendCharToCurrentCharacterToken.call(this, type, ch);
+            },
+
+            _flushCodePointsConsumedAsCharacterReference() {
+                mxn.inCharRefFlush = true;
+                orig._flushCodePointsConsumedAsCharacterReference.call(this);
+                mxn.inCharRefFlush = false;
+            },
+
+            _emitCurrentCharacterToken() {
+                if (this.currentCharacterToken) {
+                    mxn._finishToken(this.currentCharacterToken, mxn.characterTokenEnd);
+                }
+
+                orig._emitCurrentCharacterToken.call(this);
+            },
+
+            _createEOFToken() {
+                //NOTE: the source of the unfinished token is a part of the EOF token
+                if (!mxn.ctPending) {
+                    mxn.ctStart = mxn.cpStart;
+                }
+
+                orig._createEOFToken.call(this);
+            },
+
+            _emitCurrentToken() {
+                const ct = this.currentToken;
+                const end = mxn.cp === $.EOF ? mxn.cpStart : mxn.cpStart + 1;
+
+                //NOTE: the pending character token ends where the current token starts
+                mxn.characterTokenEnd = mxn.ctStart;
+                mxn.ctPending = false;
+
+                orig._emitCurrentToken.call(this);
+
+                if (ct.type === Tokenizer.START_TAG_TOKEN || ct.type === Tokenizer.END_TAG_TOKEN) {
+                    mxn._finishTagToken(ct, end);
+                } else {
+                    mxn._finishToken(ct, end);
+                }
+            }
+        };
+
+        //NOTE: patch all states to track source offsets of the code points
+        Object.getOwnPropertyNames(Tokenizer.prototype).forEach(name => {
+            if (STATE_NAME_REGEX.test(name)) {
+                methods[name] = function(cp) {
+                    mxn.state = name;
+                    mxn.cp = cp;
+                    mxn.cpStart = mxn.sourceTracker.getOffset() - (cp > 0xffff ? 1 : 0);
+
+                    orig[name].call(this, cp);
+
+                    if (this.state !== name) {
+                        mxn._onStateChange(this.state);
+                    }
+                };
+            }
+        });
+
+        return methods;
+    }
+}
+
+module.exports = PreserveRawTokenizerMixin;
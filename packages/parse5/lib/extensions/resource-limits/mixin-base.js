@@ -0,0 +1,37 @@
+'use strict';
+
+const Mixin = require('../../utils/mixin');
+const ResourceLimitError = require('./resource-limit-error');
+
+//Const
+const THROW_POLICY = 'throw';
+
+class ResourceLimitsMixinBase extends Mixin {
+    constructor(host, opts) {
+        super(host);
+
+        this.opts = opts;
+    }
+
+    //NOTE: returns `true` if the caller should truncate the input.
+    _handleExceededLimit(limitName) {
+        if (this.opts.resourceLimitPolicy === THROW_POLICY) {
+            throw new ResourceLimitError(limitName, this.opts[limitName]);
+        }
+
+        return true;
+    }
+
+    //NOTE: returns the part of the string that fits into the limit
+    _truncateToLimit(str, length, limitName) {
+        const maxLength = this.opts[limitName];
+
+        if (length + str.length > maxLength && this._handleExceededLimit(limitName)) {
+            return str.substring(0, maxLength - length);
+        }
+
+        return str;
+    }
+}
+
+module.exports = ResourceLimitsMixinBase;
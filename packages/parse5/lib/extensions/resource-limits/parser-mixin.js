@@ -0,0 +1,120 @@
+'use strict';
+
+const ResourceLimitsMixinBase = require('./mixin-base');
+const ResourceLimitsTokenizerMixin = require('./tokenizer-mixin');
+const Mixin = require('../../utils/mixin');
+
+class ResourceLimitsParserMixin extends ResourceLimitsMixinBase {
+    constructor(parser, opts) {
+        super(parser, opts);
+
+        this.parser = parser;
+        this.nodeCount = 0;
+    }
+
+    //NOTE: if the node can't be inserted and we don't throw, then parsing is stopped
+    //and the resulting tree contains only the nodes inserted so far.
+    _canInsertNode(isElement) {
+        //NOTE: in fragments the root <html> element is implied and doesn't make it to the result
+        const rootDepth = this.parser.fragmentContext ? 0 : 1;
+        let limitName = null;
+
+        if (this.nodeCount >= this.opts.maxNodes) {
+            limitName = 'maxNodes';
+        } else if (isElement && this.parser.openElements.stackTop + rootDepth + 1 > this.opts.maxTreeDepth) {
+            limitName = 'maxTreeDepth';
+        }
+
+        if (limitName && this._handleExceededLimit(limitName)) {
+            this.parser.stopped = true;
+            return false;
+        }
+
+        this.nodeCount++;
+
+        return true;
+    }
+
+    //NOTE: adjacent text is merged into a single text node, so we count the length of the node that
+    //receives the characters.
+    _getMergedTextLength(parent, beforeElement) {
+        const treeAdapter = this.parser.treeAdapter;
+        const childNodes = treeAdapter.getChildNodes(parent);
+        const prevNode = childNodes[beforeElement ? childNodes.indexOf(beforeElement) - 1 : childNodes.length - 1];
+
+        return prevNode && treeAdapter.isTextNode(prevNode) ? treeAdapter.getTextNodeContent(prevNode).length : 0;
+    }
+
+    _getOverriddenMethods(mxn, orig) {
+        return {
+            _bootstrap(document, fragmentContext) {
+                orig._bootstrap.call(this, document, fragmentContext);
+
+                mxn.nodeCount = 0;
+
+                Mixin.install(this.tokenizer, ResourceLimitsTokenizerMixin, mxn.opts);
+            },
+
+            //Elements
+            _appendElement(token, namespaceURI) {
+                if (mxn._canInsertNode(true)) {
+                    orig._appendElement.call(this, token, namespaceURI);
+                }
+            },
+
+            _insertElement(token, namespaceURI) {
+                if (mxn._canInsertNode(true)) {
+                    orig._insertElement.call(this, token, namespaceURI);
+                }
+            },
+
+            _insertFakeElement(tagName) {
+                if (mxn._canInsertNode(true)) {
+                    orig._insertFakeElement.call(this, tagName);
+                }
+            },
+
+            _insertTemplate(token) {
+                if (mxn._canInsertNode(true)) {
+                    orig._insertTemplate.call(this, token);
+                }
+            },
+
+            _insertFakeRootElement() {
+                if (this.fragmentContext || mxn._canInsertNode(true)) {
+                    orig._insertFakeRootElement.call(this);
+                }
+            },
+
+            //Text
+            _insertCharacters(token) {
+                let textLength = 0;
+
+                if (this._shouldFosterParentOnInsertion()) {
+                    const location = this._findFosterParentingLocation();
+
+                    textLength = mxn._getMergedTextLength(location.parent, location.beforeElement);
+                } else {
+                    textLength = mxn._getMergedTextLength(
+                        this.openElements.currentTmplContent || this.openElements.current
+                    );
+                }
+
+                token.chars = mxn._truncateToLimit(token.chars, textLength, 'maxTextLength');
+
+                if (token.chars) {
+                    orig._insertCharacters.call(this, token);
+                }
+            },
+
+            //Comments
+            _appendCommentNode(token, parent) {
+                if (mxn._canInsertNode(false)) {
+                    orig._appendCommentNode.call(this, token, parent);
+                }
+            }
+        };
+    }
+}
+
+module.exports = ResourceLimitsParserMixin;
@@ -0,0 +1,13 @@
+'use strict';
+
+class ResourceLimitError extends Error {
+    constructor(limitName, limit) {
+        super(`Resource limit exceeded: ${limitName} (${limit}).`);
+
+        this.name = 'ResourceLimitError';
+        this.limitName = limitName;
+        this.limit = limit;
+    }
+}
+
+module.exports = ResourceLimitError;
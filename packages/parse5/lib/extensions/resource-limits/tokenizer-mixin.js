@@ -0,0 +1,49 @@
+'use strict';
+
+const ResourceLimitsMixinBase = require('./mixin-base');
+const Tokenizer = require('../../tokenizer');
+
+class ResourceLimitsTokenizerMixin extends ResourceLimitsMixinBase {
+    _getOverriddenMethods(mxn, orig) {
+        return {
+            _leaveAttrName(toState) {
+                const isDuplicate = Tokenizer.getTokenAttr(this.currentToken, this.currentAttr.name) !== null;
+
+                //NOTE: excessive attributes are dropped as if they were duplicates
+                if (
+                    !isDuplicate &&
+                    this.currentToken.attrs.length >= mxn.opts.maxAttributesPerElement &&
+                    mxn._handleExceededLimit('maxAttributesPerElement')
+                ) {
+                    this.state = toState;
+                } else {
+                    orig._leaveAttrName.call(this, toState);
+                }
+            },
+
+            _appendToCurrentAttrValue(str) {
+                str = mxn._truncateToLimit(str, this.currentAttr.value.length, 'maxAttributeValueLength');
+
+                if (str) {
+                    orig._appendToCurrentAttrValue.call(this, str);
+                }
+            },
+
+            //NOTE: a single character token always ends up in a single text node, so we can limit its length
+            //before the whole text is buffered. Text nodes that are merged from several tokens are limited
+            //by the parser.
+            _appendCharToCurrentCharacterToken(type, ch) {
+                const ct = this.currentCharacterToken;
+                const length = ct && ct.type === type ? ct.chars.length : 0;
+
+                ch = mxn._truncateToLimit(ch, length, 'maxTextLength');
+
+                if (ch) {
+                    orig._appendCharToCurrentCharacterToken.call(this, type, ch);
+                }
+            }
+        };
+    }
+}
+
+module.exports = ResourceLimitsTokenizerMixin;
@@ -2,6 +2,28 @@
 
 const Parser = require('./parser');
 const Serializer = require('./serializer');
+const Tokenizer = require('./tokenizer');
+const compileNamedEntityTree = require('./tokenizer/named-entity-tree');
+const Mixin = require('./utils/mixin');
+const mergeOptions = require('./utils/merge-options');
+const LocationInfoTokenizerMixin = require('./extensions/location-info/tokenizer-mixin');
+const ErrorReportingTokenizerMixin = require('./extensions/error-reporting/tokenizer-mixin');
+const PreserveRawTokenizerMixin = require('./extensions/preserve-raw/tokenizer-mixin');
+const innerHTML = require('./parser/inner-html');
+
+//Default tokenizer options
+const TOKENIZER_DEFAULT_OPTIONS = {
+    initialState: Tokenizer.MODE.DATA,
+    lastStartTagName: '',
+    allowCDATA: false,
+    decodeEntities: true,
+    namedEntities: null,
+    opaqueIslands: null,
+    sourceCodeLocationInfo: false,
+    positionEncoding: 'utf-16',
+    preserveRaw: false,
+    onParseError: null
+};
 
 // Shorthands
 exports.parse = function parse(html, options) {
@@ -22,8 +44,61 @@ exports.parseFragment = function parseFragment(fragmentContext, html, options) {
     return parser.parseFragment(html, fragmentContext);
 };
 
+exports.setInnerHTML = innerHTML.setInnerHTML;
+
+exports.setOuterHTML = innerHTML.setOuterHTML;
+
+exports.createIncrementalParser = function createIncrementalParser(options) {
+    return new Parser(options);
+};
+
 exports.serialize = function(node, options) {
     const serializer = new Serializer(node, options);
 
     return serializer.serialize();
 };
+
+exports.createTokenizer = function createTokenizer(options) {
+    options = mergeOptions(TOKENIZER_DEFAULT_OPTIONS, options);
+
+    const tokenizer = new Tokenizer();
+
+    if (options.onParseError) {
+        Mixin.install(tokenizer, ErrorReportingTokenizerMixin, {
+            onParseError: options.onParseError,
+            positionEncoding: options.positionEncoding
+        });
+    }
+
+    if (options.sourceCodeLocationInfo) {
+        Mixin.install(tokenizer, LocationInfoTokenizerMixin, { positionEncoding: options.positionEncoding });
+    }
+
+    if (options.preserveRaw) {
+        Mixin.install(tokenizer, PreserveRawTokenizerMixin);
+    }
+
+    tokenizer.state = options.initialState;
+    tokenizer.lastStartTagName = options.lastStartTagName;
+    tokenizer.allowCDATA = options.allowCDATA;
+    tokenizer.decodeEntities = options.decodeEntities;
+    tokenizer.opaqueIslands = options.opaqueIslands;
+
+    if (options.namedEntities) {
+        tokenizer.namedEntityTree = compileNamedEntityTree(options.namedEntities);
+    }
+
+    return tokenizer;
+};
+
+exports.tokenize = function* tokenize(html, options) {
+    const tokenizer = exports.createTokenizer(options);
+
+    tokenizer.write(html, true);
+
+    for (let token = tokenizer.getNextToken(); token.type !== Tokenizer.EOF_TOKEN; token = tokenizer.getNextToken()) {
+        yield token;
+    }
+};
+
+exports.Tokenizer = Tokenizer;
@@ -0,0 +1,70 @@
+'use strict';
+
+const encoding = require('../common/encoding');
+
+//Utils
+function concatBytes(chunks, length) {
+    const bytes = new Uint8Array(length);
+
+    for (let i = 0, offset = 0; i < chunks.length; i++) {
+        bytes.set(chunks[i], offset);
+        offset += chunks[i].length;
+    }
+
+    return bytes;
+}
+
+//ByteStreamDecoder
+//NOTE: converts the input byte stream into a stream of code units. Input bytes are buffered
+//until we have enough of them to determine the encoding.
+//(see: https://html.spec.whatwg.org/multipage/parsing.html#the-input-byte-stream)
+class ByteStreamDecoder {
+    constructor(transportEncoding) {
+        this.transportEncoding = transportEncoding;
+
+        this.encoding = null;
+        this.confidence = null;
+        this.decoder = null;
+
+        this.pendingChunks = [];
+        this.pendingLength = 0;
+    }
+
+    _sniff(bytes, isLastChunk) {
+        if (!isLastChunk && bytes.length < encoding.PRESCAN_LENGTH) {
+            //NOTE: we can't wait for the prescan if we have BOM or the transport layer encoding
+            //(BOM is at most 3 bytes long).
+            if (bytes.length < 3 || !(encoding.sniffBOM(bytes) || encoding.getEncoding(this.transportEncoding))) {
+                return false;
+            }
+        }
+
+        const result = encoding.sniff(bytes, this.transportEncoding);
+
+        this.encoding = result.encoding;
+        this.confidence = result.confidence;
+        this.decoder = encoding.createDecoder(this.encoding);
+
+        return true;
+    }
+
+    write(chunk, isLastChunk) {
+        if (!this.decoder) {
+            this.pendingChunks.push(chunk);
+            this.pendingLength += chunk.length;
+
+            const bytes = concatBytes(this.pendingChunks, this.pendingLength);
+
+            if (!this._sniff(bytes, isLastChunk)) {
+                return '';
+            }
+
+            this.pendingChunks = null;
+            chunk = bytes;
+        }
+
+        return this.decoder.decode(chunk, { stream: !isLastChunk });
+    }
+}
+
+module.exports = ByteStreamDecoder;
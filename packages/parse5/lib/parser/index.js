@@ -1,16 +1,22 @@
 'use strict';
 
 const Tokenizer = require('../tokenizer');
+const compileNamedEntityTree = require('../tokenizer/named-entity-tree');
 const OpenElementStack = require('./open-element-stack');
 const FormattingElementList = require('./formatting-element-list');
+const ByteStreamDecoder = require('./byte-stream-decoder');
 const LocationInfoParserMixin = require('../extensions/location-info/parser-mixin');
 const ErrorReportingParserMixin = require('../extensions/error-reporting/parser-mixin');
+const ResourceLimitsParserMixin = require('../extensions/resource-limits/parser-mixin');
+const CstParserMixin = require('../extensions/cst/parser-mixin');
 const Mixin = require('../utils/mixin');
 const defaultTreeAdapter = require('../tree-adapters/default');
 const mergeOptions = require('../utils/merge-options');
+const createRawTextElementMap = require('../utils/raw-text-elements');
 const doctype = require('../common/doctype');
 const foreignContent = require('../common/foreign-content');
 const ERR = require('../common/error-codes');
+const encoding = require('../common/encoding');
 const unicode = require('../common/unicode');
 const HTML = require('../common/html');
 
@@ -22,13 +28,34 @@ const ATTRS = HTML.ATTRS;
 const DEFAULT_OPTIONS = {
     scriptingEnabled: true,
     sourceCodeLocationInfo: false,
+    positionEncoding: 'utf-16',
+    cst: false,
+    decodeEntities: true,
+    namedEntities: null,
+    opaqueIslands: null,
+    rawTextElements: null,
     onParseError: null,
+    onScript: null,
+    transportEncoding: null,
+    maxTreeDepth: Infinity,
+    maxNodes: Infinity,
+    maxAttributesPerElement: Infinity,
+    maxAttributeValueLength: Infinity,
+    maxTextLength: Infinity,
+    resourceLimitPolicy: 'throw',
     treeAdapter: defaultTreeAdapter
 };
 
 //Misc constants
 const HIDDEN_INPUT_TYPE = 'hidden';
 
+//Namespace shorthands for the fragment context descriptor
+const FRAGMENT_CONTEXT_NAMESPACES = {
+    html: NS.HTML,
+    svg: NS.SVG,
+    math: NS.MATHML
+};
+
 //Adoption agency loops iteration count
 const AA_OUTER_LOOP_ITER = 8;
 const AA_INNER_LOOP_ITER = 3;
@@ -318,30 +345,77 @@ const TOKEN_HANDLERS = {
     }
 };
 
+//NOTE: opaque islands are inserted into the tree just like comments, so they don't affect the tree construction
+Object.keys(TOKEN_HANDLERS).forEach(mode => {
+    TOKEN_HANDLERS[mode][Tokenizer.OPAQUE_ISLAND_TOKEN] = TOKEN_HANDLERS[mode][Tokenizer.COMMENT_TOKEN];
+});
+
+//Utils
+//NOTE: the descriptor is a plain object with the tag name, while elements of the built-in tree adapters
+//have either the `nodeName` (default) or the `type` (htmlparser2) property
+function isFragmentContextDescriptor(fragmentContext) {
+    return (
+        typeof fragmentContext.tagName === 'string' && !('nodeName' in fragmentContext) && !('type' in fragmentContext)
+    );
+}
+
+function hasResourceLimits(options) {
+    return (
+        options.maxTreeDepth !== Infinity ||
+        options.maxNodes !== Infinity ||
+        options.maxAttributesPerElement !== Infinity ||
+        options.maxAttributeValueLength !== Infinity ||
+        options.maxTextLength !== Infinity
+    );
+}
+
 //Parser
 class Parser {
     constructor(options) {
         this.options = mergeOptions(DEFAULT_OPTIONS, options);
 
         this.treeAdapter = this.options.treeAdapter;
+        this.rawTextElements = createRawTextElementMap(this.options.rawTextElements);
         this.pendingScript = null;
+        this.incrementalParsingStarted = false;
 
-        if (this.options.sourceCodeLocationInfo) {
-            Mixin.install(this, LocationInfoParserMixin);
+        //NOTE: the raw source of nodes is obtained using their locations
+        if (this.options.cst && this.options.positionEncoding !== 'utf-16') {
+            throw new Error('The cst option requires the "utf-16" position encoding');
+        }
+
+        if (this.options.sourceCodeLocationInfo || this.options.cst) {
+            Mixin.install(this, LocationInfoParserMixin, { positionEncoding: this.options.positionEncoding });
+        }
+
+        //NOTE: install it after the location info mixin, so that the final locations are available for it
+        if (this.options.cst) {
+            Mixin.install(this, CstParserMixin);
         }
 
         if (this.options.onParseError) {
-            Mixin.install(this, ErrorReportingParserMixin, { onParseError: this.options.onParseError });
+            Mixin.install(this, ErrorReportingParserMixin, {
+                onParseError: this.options.onParseError,
+                positionEncoding: this.options.positionEncoding
+            });
+        }
+
+        //NOTE: install it last, so that other mixins don't see the nodes that were not inserted
+        if (hasResourceLimits(this.options)) {
+            Mixin.install(this, ResourceLimitsParserMixin, this.options);
         }
     }
 
     // API
     parse(html) {
-        const document = this.treeAdapter.createDocument();
+        const document = this._parseDocument(html, null);
 
-        this._bootstrap(document, null);
-        this.tokenizer.write(html, true);
-        this._runParsingLoop(null);
+        //NOTE: the document has declared an encoding that differs from the one we've guessed.
+        //Throw away the tree and start over using the declared encoding.
+        //(see: https://html.spec.whatwg.org/multipage/parsing.html#changing-the-encoding-while-parsing)
+        if (this.pendingEncodingChange) {
+            return this._parseDocument(html, this.pendingEncodingChange);
+        }
 
         return document;
     }
@@ -351,6 +425,8 @@ class Parser {
         //so we will parse in "forgiving" manner
         if (!fragmentContext) {
             fragmentContext = this.treeAdapter.createElement($.TEMPLATE, NS.HTML, []);
+        } else if (isFragmentContextDescriptor(fragmentContext)) {
+            fragmentContext = this._createFragmentContextElement(fragmentContext);
         }
 
         //NOTE: create fake element which will be used as 'document' for fragment parsing.
@@ -379,9 +455,69 @@ class Parser {
         return fragment;
     }
 
+    //Incremental parsing
+    write(chunk) {
+        this._ensureNotEnded();
+        this._writeChunk(chunk, false, null, null, null);
+
+        return this.document;
+    }
+
+    end(chunk) {
+        this._ensureNotEnded();
+        this._writeChunk(chunk || '', true, null, null, null);
+
+        return this.document;
+    }
+
+    _ensureNotEnded() {
+        if (this.incrementalParsingStarted && this.tokenizer.preprocessor.lastChunkWritten) {
+            throw new Error('Parser was already ended');
+        }
+    }
+
+    _startIncrementalParsing() {
+        if (!this.incrementalParsingStarted) {
+            this.incrementalParsingStarted = true;
+            this._bootstrap(this.treeAdapter.createDocument(), null);
+        }
+    }
+
+    _writeChunk(chunk, isLastChunk, writeCallback, scriptHandler, encodingChangeHandler) {
+        this._startIncrementalParsing();
+        this.canRestartWithNewEncoding = encodingChangeHandler !== null;
+        this.tokenizer.write(this._decodeInputChunk(chunk, isLastChunk), isLastChunk);
+        this.runParsingLoopForCurrentChunk(writeCallback, scriptHandler, encodingChangeHandler);
+    }
+
+    _parseDocument(html, encodingOverride) {
+        const document = this.treeAdapter.createDocument();
+
+        this._bootstrap(document, null);
+
+        if (encodingOverride) {
+            this.byteStreamDecoder = new ByteStreamDecoder(encodingOverride);
+        }
+
+        this.tokenizer.write(this._decodeInputChunk(html, true), true);
+        this._runParsingLoopWithScripts();
+
+        if (!this.pendingEncodingChange) {
+            this._commitParsingPass();
+        }
+
+        return document;
+    }
+
     //Bootstrap parser
     _bootstrap(document, fragmentContext) {
         this.tokenizer = new Tokenizer(this.options);
+        this.tokenizer.decodeEntities = this.options.decodeEntities;
+        this.tokenizer.opaqueIslands = this.options.opaqueIslands;
+
+        if (this.options.namedEntities) {
+            this.tokenizer.namedEntityTree = compileNamedEntityTree(this.options.namedEntities);
+        }
 
         this.stopped = false;
 
@@ -407,6 +543,85 @@ class Parser {
         this.framesetOk = true;
         this.skipNextNewLine = false;
         this.fosterParentingEnabled = false;
+
+        this.byteStreamDecoder = null;
+        this.pendingEncodingChange = null;
+        this.canRestartWithNewEncoding = true;
+    }
+
+    //Input decoding
+    _decodeInputChunk(chunk, isLastChunk) {
+        if (typeof chunk === 'string') {
+            if (!this.byteStreamDecoder) {
+                return chunk;
+            }
+
+            //NOTE: streams use empty string to signal the end of input
+            if (chunk) {
+                throw new TypeError('Parser can not mix strings and binary data in the same input stream.');
+            }
+
+            chunk = new Uint8Array(0);
+        } else if (!(chunk instanceof Uint8Array)) {
+            throw new TypeError('Parser can work only with strings or binary data (Buffer or Uint8Array).');
+        }
+
+        if (!this.byteStreamDecoder) {
+            this.byteStreamDecoder = new ByteStreamDecoder(this.options.transportEncoding);
+        }
+
+        const decoder = this.byteStreamDecoder;
+        const encodingWasUnknown = decoder.encoding === null;
+        const str = decoder.write(chunk, isLastChunk);
+
+        if (encodingWasUnknown && decoder.encoding !== null) {
+            this._setDocumentEncoding();
+        }
+
+        return str;
+    }
+
+    _changeEncodingIfNecessary(metaToken) {
+        const decoder = this.byteStreamDecoder;
+
+        if (!decoder || decoder.confidence !== encoding.CONFIDENCE.TENTATIVE) {
+            return;
+        }
+
+        const newEncoding = encoding.getMetaElementEncoding(
+            Tokenizer.getTokenAttr(metaToken, ATTRS.CHARSET),
+            Tokenizer.getTokenAttr(metaToken, ATTRS.HTTP_EQUIV),
+            Tokenizer.getTokenAttr(metaToken, ATTRS.CONTENT)
+        );
+
+        if (!newEncoding) {
+            return;
+        }
+
+        //NOTE: we can't decode already consumed input once again, so stop parsing and let the caller
+        //to restart it with the new encoding. If the caller can't restart parsing (the input is not kept),
+        //we continue with the current encoding.
+        if (newEncoding !== decoder.encoding && this.canRestartWithNewEncoding) {
+            this.pendingEncodingChange = newEncoding;
+            this.stopped = true;
+        } else {
+            decoder.confidence = encoding.CONFIDENCE.CERTAIN;
+            this._setDocumentEncoding();
+        }
+    }
+
+    _setDocumentEncoding() {
+        //NOTE: the method is optional, the tree adapter may not keep the document encoding
+        if (this.treeAdapter.setDocumentEncoding) {
+            const decoder = this.byteStreamDecoder;
+
+            this.treeAdapter.setDocumentEncoding(this.document, decoder.encoding, decoder.confidence);
+        }
+    }
+
+    //NOTE: once the parsing pass was exposed to the callbacks, it can't be thrown away anymore
+    _commitParsingPass() {
+        this.canRestartWithNewEncoding = false;
     }
 
     //Errors
@@ -445,7 +660,46 @@ class Parser {
         }
     }
 
-    runParsingLoopForCurrentChunk(writeCallback, scriptHandler) {
+    //NOTE: synchronous counterpart of the ParserStream's scripting support
+    _runParsingLoopWithScripts() {
+        const onScript = this.options.onScript;
+
+        if (!onScript) {
+            this._runParsingLoop(null);
+            return;
+        }
+
+        const pendingHtmlInsertions = [];
+        const documentWrite = html => {
+            if (!this.stopped) {
+                pendingHtmlInsertions.push(html);
+            }
+        };
+
+        this.pendingScript = null;
+
+        do {
+            this._runParsingLoop(onScript);
+
+            const script = this.pendingScript;
+
+            if (!script) {
+                break;
+            }
+
+            this.pendingScript = null;
+
+            this._commitParsingPass();
+            onScript(script, documentWrite);
+
+            //NOTE: insert markup in reverse order, so it will appear in the input in the order it was written
+            while (pendingHtmlInsertions.length) {
+                this.tokenizer.insertHtmlAtCurrentPos(pendingHtmlInsertions.pop());
+            }
+        } while (!this.stopped);
+    }
+
+    runParsingLoopForCurrentChunk(writeCallback, scriptHandler, encodingChangeHandler) {
         this._runParsingLoop(scriptHandler);
 
         if (scriptHandler && this.pendingScript) {
@@ -458,6 +712,14 @@ class Parser {
             return;
         }
 
+        if (encodingChangeHandler && this.pendingEncodingChange) {
+            const newEncoding = this.pendingEncodingChange;
+
+            this.pendingEncodingChange = null;
+
+            encodingChangeHandler(newEncoding);
+        }
+
         if (writeCallback) {
             writeCallback();
         }
@@ -488,6 +750,20 @@ class Parser {
     }
 
     //Fragment parsing
+    _createFragmentContextElement(descriptor) {
+        const namespaceURI = FRAGMENT_CONTEXT_NAMESPACES[descriptor.namespace] || descriptor.namespace || NS.HTML;
+        const element = this.treeAdapter.createElement(descriptor.tagName, namespaceURI, descriptor.attrs || []);
+
+        //NOTE: ancestors matter, e.g. the nearest <form> becomes the form element of the fragment
+        if (descriptor.parent) {
+            const parent = this._createFragmentContextElement(descriptor.parent);
+
+            this.treeAdapter.appendChild(parent, element);
+        }
+
+        return element;
+    }
+
     _getAdjustedCurrentElement() {
         return this.openElements.stackTop === 0 && this.fragmentContext
             ? this.fragmentContext
@@ -526,6 +802,8 @@ class Parser {
                 this.tokenizer.state = Tokenizer.MODE.SCRIPT_DATA;
             } else if (tn === $.PLAINTEXT) {
                 this.tokenizer.state = Tokenizer.MODE.PLAINTEXT;
+            } else if (this.rawTextElements[tn]) {
+                this.tokenizer.state = this.rawTextElements[tn];
             }
         }
     }
@@ -536,7 +814,14 @@ class Parser {
         const publicId = token.publicId || '';
         const systemId = token.systemId || '';
 
-        this.treeAdapter.setDocumentType(this.document, name, publicId, systemId);
+        this.treeAdapter.setDocumentType(
+            this.document,
+            name,
+            publicId,
+            systemId,
+            token.publicId !== null,
+            token.systemId !== null
+        );
     }
 
     _attachElementToTree(element) {
@@ -586,9 +871,12 @@ class Parser {
     }
 
     _appendCommentNode(token, parent) {
-        const commentNode = this.treeAdapter.createCommentNode(token.data);
+        const node =
+            token.type === Tokenizer.OPAQUE_ISLAND_TOKEN
+                ? this.treeAdapter.createOpaqueNode(token.data)
+                : this.treeAdapter.createCommentNode(token.data);
 
-        this.treeAdapter.appendChild(parent, commentNode);
+        this.treeAdapter.appendChild(parent, node);
     }
 
     _insertCharacters(token) {
@@ -668,7 +956,7 @@ class Parser {
             nullCharacterInForeignContent(this, token);
         } else if (token.type === Tokenizer.WHITESPACE_CHARACTER_TOKEN) {
             insertCharacters(this, token);
-        } else if (token.type === Tokenizer.COMMENT_TOKEN) {
+        } else if (token.type === Tokenizer.COMMENT_TOKEN || token.type === Tokenizer.OPAQUE_ISLAND_TOKEN) {
             appendComment(this, token);
         } else if (token.type === Tokenizer.START_TAG_TOKEN) {
             startTagInForeignContent(this, token);
@@ -1157,6 +1445,10 @@ function startTagInHead(p, token) {
     } else if (tn === $.BASE || tn === $.BASEFONT || tn === $.BGSOUND || tn === $.LINK || tn === $.META) {
         p._appendElement(token, NS.HTML);
         token.ackSelfClosing = true;
+
+        if (tn === $.META) {
+            p._changeEncodingIfNecessary(token);
+        }
     } else if (tn === $.TITLE) {
         p._switchToTextParsing(token, Tokenizer.MODE.RCDATA);
     } else if (tn === $.NOSCRIPT) {
@@ -1668,8 +1960,15 @@ function svgStartTagInBody(p, token) {
 }
 
 function genericStartTagInBody(p, token) {
+    const rawTextMode = p.rawTextElements[token.tagName];
+
     p._reconstructActiveFormattingElements();
-    p._insertElement(token, NS.HTML);
+
+    if (rawTextMode) {
+        p._switchToTextParsing(token, rawTextMode);
+    } else {
+        p._insertElement(token, NS.HTML);
+    }
 }
 
 //OPTIMIZATION: Integer comparisons are low-cost, so we can use very fast tag name length filters here.
@@ -0,0 +1,139 @@
+'use strict';
+
+const Parser = require('./index');
+const HTML = require('../common/html');
+
+//Aliases
+const $ = HTML.TAG_NAMES;
+const NS = HTML.NAMESPACES;
+
+//Utils
+function shiftPosition(loc, prefix, base) {
+    //NOTE: only the first line of the fragment shares the line with the insertion point
+    if (loc[prefix + 'Line'] === 1) {
+        loc[prefix + 'Col'] += base.col - 1;
+    }
+
+    loc[prefix + 'Line'] += base.line - 1;
+    loc[prefix + 'Offset'] += base.offset;
+}
+
+function shiftLocation(loc, base, shifted) {
+    if (!loc || shifted.has(loc)) {
+        return;
+    }
+
+    shifted.add(loc);
+    shiftPosition(loc, 'start', base);
+    shiftPosition(loc, 'end', base);
+
+    shiftLocation(loc.startTag, base, shifted);
+    shiftLocation(loc.endTag, base, shifted);
+
+    if (loc.attrs) {
+        Object.keys(loc.attrs).forEach(attrName => shiftLocation(loc.attrs[attrName], base, shifted));
+    }
+}
+
+function shiftNodeLocations(node, base, treeAdapter, shifted) {
+    shiftLocation(treeAdapter.getNodeSourceCodeLocation(node), base, shifted);
+
+    if (treeAdapter.isElementNode(node)) {
+        const content =
+            treeAdapter.getTagName(node) === $.TEMPLATE && treeAdapter.getNamespaceURI(node) === NS.HTML
+                ? treeAdapter.getTemplateContent(node)
+                : node;
+
+        treeAdapter.getChildNodes(content).forEach(child => shiftNodeLocations(child, base, treeAdapter, shifted));
+    }
+}
+
+//NOTE: parses the fragment and makes the locations of its nodes relative to the document of the fragment context
+//(if the location of the insertion point is known).
+function parseFragmentAt(html, contextElement, insertionPoint, parser) {
+    const fragment = parser.parseFragment(html, contextElement);
+
+    if (parser.options.sourceCodeLocationInfo && insertionPoint) {
+        const treeAdapter = parser.treeAdapter;
+        const shifted = new Set();
+
+        treeAdapter
+            .getChildNodes(fragment)
+            .forEach(node => shiftNodeLocations(node, insertionPoint, treeAdapter, shifted));
+    }
+
+    return fragment;
+}
+
+function getContainer(element, treeAdapter) {
+    const isTemplate =
+        treeAdapter.getTagName(element) === $.TEMPLATE && treeAdapter.getNamespaceURI(element) === NS.HTML;
+
+    return isTemplate ? treeAdapter.getTemplateContent(element) : element;
+}
+
+function moveChildNodes(donor, recipient, referenceNode, treeAdapter) {
+    //NOTE: copy the list, since it's mutated while we move the nodes
+    treeAdapter
+        .getChildNodes(donor)
+        .slice()
+        .forEach(node => {
+            treeAdapter.detachNode(node);
+
+            if (referenceNode) {
+                treeAdapter.insertBefore(recipient, node, referenceNode);
+            } else {
+                treeAdapter.appendChild(recipient, node);
+            }
+        });
+}
+
+//API
+exports.setInnerHTML = function setInnerHTML(element, html, options) {
+    const parser = new Parser(options);
+    const treeAdapter = parser.treeAdapter;
+    const loc = treeAdapter.getNodeSourceCodeLocation(element);
+    const startTagLoc = loc && loc.startTag;
+    const insertionPoint = startTagLoc && {
+        line: startTagLoc.endLine,
+        col: startTagLoc.endCol,
+        offset: startTagLoc.endOffset
+    };
+    const fragment = parseFragmentAt(html, element, insertionPoint, parser);
+    const container = getContainer(element, treeAdapter);
+
+    treeAdapter
+        .getChildNodes(container)
+        .slice()
+        .forEach(node => treeAdapter.detachNode(node));
+
+    moveChildNodes(fragment, container, null, treeAdapter);
+};
+
+exports.setOuterHTML = function setOuterHTML(element, html, options) {
+    const parser = new Parser(options);
+    const treeAdapter = parser.treeAdapter;
+    let contextElement = treeAdapter.getParentNode(element);
+
+    if (!contextElement) {
+        return;
+    }
+
+    if (!treeAdapter.isElementNode(contextElement)) {
+        //NOTE: only documents have document mode
+        if (treeAdapter.getDocumentMode(contextElement)) {
+            throw new Error("Can't replace the root element of the document");
+        }
+
+        //NOTE: children of the document fragment are parsed as if they were in <body>
+        //(see: https://w3c.github.io/DOM-Parsing/#dom-element-outerhtml)
+        contextElement = treeAdapter.createElement($.BODY, NS.HTML, []);
+    }
+
+    const loc = treeAdapter.getNodeSourceCodeLocation(element);
+    const insertionPoint = loc && { line: loc.startLine, col: loc.startCol, offset: loc.startOffset };
+    const fragment = parseFragmentAt(html, contextElement, insertionPoint, parser);
+
+    moveChildNodes(fragment, treeAdapter.getParentNode(element), element, treeAdapter);
+    treeAdapter.detachNode(element);
+};
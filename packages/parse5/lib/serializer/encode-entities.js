@@ -0,0 +1,89 @@
+'use strict';
+
+const neTree = require('../tokenizer/named-entity-data');
+
+//Const
+const HAS_DATA_FLAG = 1 << 0;
+const DATA_DUPLET_FLAG = 1 << 1;
+const HAS_BRANCHES_FLAG = 1 << 2;
+const MAX_BRANCH_MARKER_VALUE = HAS_DATA_FLAG | DATA_DUPLET_FLAG | HAS_BRANCHES_FLAG;
+
+const NON_ASCII_REGEX = /[\u0080-\u{10ffff}]/gu;
+
+const ENTITY_ENCODING = (exports.ENTITY_ENCODING = {
+    MINIMAL: 'minimal',
+    NON_ASCII: 'nonAscii',
+    NAMED: 'named'
+});
+
+//NOTE: code point -> the shortest named character reference map. It's built from the named entity data
+//that is used by the tokenizer on the first demand.
+let namedRefs = null;
+
+function addNamedRef(name, data) {
+    //NOTE: we ignore references that represent multiple characters and legacy references without semicolon
+    const isSingleCp = data.length === 1 || (data[0] >= 0xd800 && data[0] <= 0xdbff);
+
+    if (isSingleCp && name[name.length - 1] === ';') {
+        const cp = String.fromCharCode.apply(null, data).codePointAt(0);
+        const ref = '&' + name;
+        const existing = namedRefs[cp];
+
+        //NOTE: prefer lowercase names among the references of the same length (e.g. `&amp;` over `&AMP;`)
+        if (!existing || ref.length < existing.length || (ref.length === existing.length && ref > existing)) {
+            namedRefs[cp] = ref;
+        }
+    }
+}
+
+function collectNamedRefs(i, name) {
+    const current = neTree[i];
+
+    //NOTE: edges are sequences of code points that are followed by a node
+    if (current > MAX_BRANCH_MARKER_VALUE) {
+        collectNamedRefs(i + 1, name + String.fromCharCode(current));
+        return;
+    }
+
+    if (current & HAS_DATA_FLAG) {
+        const data = current & DATA_DUPLET_FLAG ? [neTree[++i], neTree[++i]] : [neTree[++i]];
+
+        addNamedRef(name, data);
+    }
+
+    if (current & HAS_BRANCHES_FLAG) {
+        const branchCount = neTree[++i];
+
+        for (let j = 1; j <= branchCount; j++) {
+            collectNamedRefs(neTree[i + j + branchCount], name + String.fromCharCode(neTree[i + j]));
+        }
+    }
+}
+
+function getNamedRefs() {
+    if (!namedRefs) {
+        namedRefs = Object.create(null);
+        collectNamedRefs(0, '');
+    }
+
+    return namedRefs;
+}
+
+function toNumericRef(ch) {
+    return '&#' + ch.codePointAt(0) + ';';
+}
+
+//API
+exports.encodeNonAsciiChars = function(str, encodeEntities) {
+    if (encodeEntities === ENTITY_ENCODING.NAMED) {
+        const refs = getNamedRefs();
+
+        return str.replace(NON_ASCII_REGEX, ch => refs[ch.codePointAt(0)] || toNumericRef(ch));
+    }
+
+    if (encodeEntities === ENTITY_ENCODING.NON_ASCII) {
+        return str.replace(NON_ASCII_REGEX, toNumericRef);
+    }
+
+    return str;
+};
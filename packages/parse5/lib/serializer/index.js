@@ -2,7 +2,11 @@
 
 const defaultTreeAdapter = require('../tree-adapters/default');
 const mergeOptions = require('../utils/merge-options');
+const createRawTextElementMap = require('../utils/raw-text-elements');
+const Tokenizer = require('../tokenizer');
 const doctype = require('../common/doctype');
+const { ENTITY_ENCODING, encodeNonAsciiChars } = require('./encode-entities');
+const { isNodeDataChanged } = require('../extensions/cst/node-data');
 const HTML = require('../common/html');
 
 //Aliases
@@ -11,7 +15,25 @@ const NS = HTML.NAMESPACES;
 
 //Default serializer options
 const DEFAULT_OPTIONS = {
-    treeAdapter: defaultTreeAdapter
+    treeAdapter: defaultTreeAdapter,
+    xml: false,
+    fullDoctype: null,
+    format: false,
+    indent: 2,
+    lineWidth: 80,
+    whitespaceSensitivity: 'css',
+    minify: false,
+    minifyWhitespace: false,
+    encodeEntities: ENTITY_ENCODING.MINIMAL,
+    sortAttributes: false,
+    attributeQuotes: 'double',
+    omitAttributeQuotes: false,
+    collapseBooleanAttributes: false,
+    onElement: null,
+    onText: null,
+    onComment: null,
+    cst: false,
+    rawTextElements: null
 };
 
 //Escaping regexes
@@ -21,72 +43,375 @@ const DOUBLE_QUOTE_REGEX = /"/g;
 const LT_REGEX = /</g;
 const GT_REGEX = />/g;
 
+//XML regexes
+const XML_NAME_START_CHARS =
+    'A-Z_a-z\\u00c0-\\u00d6\\u00d8-\\u00f6\\u00f8-\\u02ff\\u0370-\\u037d\\u037f-\\u1fff\\u200c\\u200d\\u2070-\\u218f' +
+    '\\u2c00-\\u2fef\\u3001-\\ud7ff\\uf900-\\ufdcf\\ufdf0-\\ufffd\\u{10000}-\\u{effff}';
+const XML_NAME_CHARS = XML_NAME_START_CHARS + '\\-.0-9\\u00b7\\u0300-\\u036f\\u203f\\u2040';
+const XML_NAME_START_CHAR_REGEX = new RegExp(`^[${XML_NAME_START_CHARS}]`, 'u');
+const INVALID_XML_NAME_CHAR_REGEX = new RegExp(`[^${XML_NAME_CHARS}]`, 'gu');
+const INVALID_XML_CHAR_REGEX = /[^\t\n\r\u0020-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu;
+const XML_RAW_TEXT_SPECIAL_CHAR_REGEX = /[&<>]/;
+const CDATA_END_REGEX = /]]>/g;
+const DOUBLE_HYPHEN_REGEX = /-(?=-)/g;
+
+//Minification
+const MINIFIED_AMP_REGEX = /&(?=[A-Za-z0-9#])/g;
+const MINIFIED_LT_REGEX = /<(?=[A-Za-z!/?])/g;
+const SINGLE_QUOTE_REGEX = /'/g;
+const UNQUOTED_ATTR_VALUE_REGEX = /^[^ \n\t\f\r"'=<>`]+$/;
+const WHITESPACE_ONLY_REGEX = /^[ \n\t\f\r]*$/;
+const LEADING_WHITESPACE_REGEX = /^[ \n\t\f\r]/;
+
+//NOTE: elements whose start tags close the <p> element (<table> does it only in no-quirks mode)
+const P_CLOSING_ELEMENTS = {
+    [$.ADDRESS]: true,
+    [$.ARTICLE]: true,
+    [$.ASIDE]: true,
+    [$.BLOCKQUOTE]: true,
+    [$.CENTER]: true,
+    [$.DD]: true,
+    [$.DETAILS]: true,
+    [$.DIALOG]: true,
+    [$.DIR]: true,
+    [$.DIV]: true,
+    [$.DL]: true,
+    [$.DT]: true,
+    [$.FIELDSET]: true,
+    [$.FIGCAPTION]: true,
+    [$.FIGURE]: true,
+    [$.FOOTER]: true,
+    [$.H1]: true,
+    [$.H2]: true,
+    [$.H3]: true,
+    [$.H4]: true,
+    [$.H5]: true,
+    [$.H6]: true,
+    [$.HEADER]: true,
+    [$.HGROUP]: true,
+    [$.HR]: true,
+    [$.LI]: true,
+    [$.LISTING]: true,
+    [$.MAIN]: true,
+    [$.MENU]: true,
+    [$.NAV]: true,
+    [$.OL]: true,
+    [$.P]: true,
+    [$.PLAINTEXT]: true,
+    [$.PRE]: true,
+    [$.SECTION]: true,
+    [$.SUMMARY]: true,
+    [$.UL]: true,
+    [$.XMP]: true
+};
+
+//NOTE: elements whose end tags generate implied end tags, so they close
+//<p>, <li>, <dd> and <dt> elements that don't have their own end tags.
+const IMPLIED_END_TAGS_GENERATING_ELEMENTS = {
+    [$.ADDRESS]: true,
+    [$.APPLET]: true,
+    [$.ARTICLE]: true,
+    [$.ASIDE]: true,
+    [$.BLOCKQUOTE]: true,
+    [$.BODY]: true,
+    [$.BUTTON]: true,
+    [$.CAPTION]: true,
+    [$.CENTER]: true,
+    [$.DD]: true,
+    [$.DETAILS]: true,
+    [$.DIALOG]: true,
+    [$.DIR]: true,
+    [$.DIV]: true,
+    [$.DL]: true,
+    [$.DT]: true,
+    [$.FIELDSET]: true,
+    [$.FIGCAPTION]: true,
+    [$.FIGURE]: true,
+    [$.FOOTER]: true,
+    [$.FORM]: true,
+    [$.H1]: true,
+    [$.H2]: true,
+    [$.H3]: true,
+    [$.H4]: true,
+    [$.H5]: true,
+    [$.H6]: true,
+    [$.HEADER]: true,
+    [$.HGROUP]: true,
+    [$.LI]: true,
+    [$.LISTING]: true,
+    [$.MAIN]: true,
+    [$.MARQUEE]: true,
+    [$.MENU]: true,
+    [$.NAV]: true,
+    [$.OBJECT]: true,
+    [$.OL]: true,
+    [$.PRE]: true,
+    [$.SECTION]: true,
+    [$.SUMMARY]: true,
+    [$.TD]: true,
+    [$.TEMPLATE]: true,
+    [$.TH]: true,
+    [$.UL]: true
+};
+
+//NOTE: elements that are inserted into <head> if <body> start tag is omitted
+const HEAD_CONTENT_ELEMENTS = {
+    [$.BASE]: true,
+    [$.BASEFONT]: true,
+    [$.BGSOUND]: true,
+    [$.LINK]: true,
+    [$.META]: true,
+    [$.NOFRAMES]: true,
+    [$.NOSCRIPT]: true,
+    [$.SCRIPT]: true,
+    [$.STYLE]: true,
+    [$.TEMPLATE]: true,
+    [$.TITLE]: true
+};
+
+//NOTE: elements whose text content is not rendered, so whitespace-only text nodes can be removed from them
+const WHITESPACE_INSIGNIFICANT_ELEMENTS = {
+    [$.COLGROUP]: true,
+    [$.FRAMESET]: true,
+    [$.HEAD]: true,
+    [$.HTML]: true,
+    [$.OPTGROUP]: true,
+    [$.SELECT]: true,
+    [$.TABLE]: true,
+    [$.TBODY]: true,
+    [$.TFOOT]: true,
+    [$.THEAD]: true,
+    [$.TR]: true
+};
+
+//Formatting
+const WHITESPACE_REGEX = /[ \n\t\f\r]+/;
+
+//Attribute quotes
+const ATTRIBUTE_QUOTES = {
+    DOUBLE: 'double',
+    SINGLE: 'single',
+    AUTO: 'auto'
+};
+
+const WHITESPACE_SENSITIVITY = {
+    CSS: 'css',
+    STRICT: 'strict',
+    IGNORE: 'ignore'
+};
+
+//NOTE: elements whose content is rendered (or used) as is, so they are never formatted
+const PRESERVED_ELEMENTS = {
+    [$.IFRAME]: true,
+    [$.LISTING]: true,
+    [$.NOEMBED]: true,
+    [$.NOFRAMES]: true,
+    [$.NOSCRIPT]: true,
+    [$.PLAINTEXT]: true,
+    [$.PRE]: true,
+    [$.SCRIPT]: true,
+    [$.STYLE]: true,
+    [$.TEXTAREA]: true,
+    [$.XMP]: true
+};
+
+//NOTE: elements that are not displayed inline by default, so the whitespace around them is insignificant.
+//Other elements (including custom ones) are displayed inline.
+const BLOCK_ELEMENTS = {
+    [$.ADDRESS]: true,
+    [$.ARTICLE]: true,
+    [$.ASIDE]: true,
+    [$.BASE]: true,
+    [$.BASEFONT]: true,
+    [$.BGSOUND]: true,
+    [$.BLOCKQUOTE]: true,
+    [$.BODY]: true,
+    [$.CAPTION]: true,
+    [$.CENTER]: true,
+    [$.COL]: true,
+    [$.COLGROUP]: true,
+    [$.DD]: true,
+    [$.DETAILS]: true,
+    [$.DIALOG]: true,
+    [$.DIR]: true,
+    [$.DIV]: true,
+    [$.DL]: true,
+    [$.DT]: true,
+    [$.FIELDSET]: true,
+    [$.FIGCAPTION]: true,
+    [$.FIGURE]: true,
+    [$.FOOTER]: true,
+    [$.FORM]: true,
+    [$.FRAME]: true,
+    [$.FRAMESET]: true,
+    [$.H1]: true,
+    [$.H2]: true,
+    [$.H3]: true,
+    [$.H4]: true,
+    [$.H5]: true,
+    [$.H6]: true,
+    [$.HEAD]: true,
+    [$.HEADER]: true,
+    [$.HGROUP]: true,
+    [$.HR]: true,
+    [$.HTML]: true,
+    [$.LI]: true,
+    [$.LINK]: true,
+    [$.LISTING]: true,
+    [$.MAIN]: true,
+    [$.MENU]: true,
+    [$.META]: true,
+    [$.NAV]: true,
+    [$.NOFRAMES]: true,
+    [$.OL]: true,
+    [$.OPTGROUP]: true,
+    [$.OPTION]: true,
+    [$.P]: true,
+    [$.PARAM]: true,
+    [$.PLAINTEXT]: true,
+    [$.PRE]: true,
+    [$.SCRIPT]: true,
+    [$.SECTION]: true,
+    [$.SOURCE]: true,
+    [$.STYLE]: true,
+    [$.SUMMARY]: true,
+    [$.TABLE]: true,
+    [$.TBODY]: true,
+    [$.TD]: true,
+    [$.TEMPLATE]: true,
+    [$.TFOOT]: true,
+    [$.TH]: true,
+    [$.THEAD]: true,
+    [$.TITLE]: true,
+    [$.TR]: true,
+    [$.TRACK]: true,
+    [$.UL]: true,
+    [$.XMP]: true
+};
+
 //Serializer
 class Serializer {
     constructor(node, options) {
         this.options = mergeOptions(DEFAULT_OPTIONS, options);
         this.treeAdapter = this.options.treeAdapter;
+        this.rawTextElements = createRawTextElementMap(this.options.rawTextElements);
 
         this.html = '';
         this.startNode = node;
+
+        this.xml = this.options.xml;
+        this.fullDoctype = this.options.fullDoctype === null ? this.xml : this.options.fullDoctype;
+
+        //NOTE: in XML mode we track namespaces that are in scope. Prefixes are stored in
+        //the URI -> prefix map that inherits from the map of the parent element.
+        this.xmlDefaultNamespace = null;
+        this.xmlPrefixes = Object.create(null);
+        this.xmlGeneratedPrefixIdx = 0;
+
+        this.format = this.options.format;
+        this.indent = typeof this.options.indent === 'number' ? ' '.repeat(this.options.indent) : this.options.indent;
+
+        //NOTE: in formatting mode subtrees are laid out by nested serializers (see `_serializeToString`),
+        //so the state of the current line is kept in the object that is shared by all of them.
+        this.formatState = { depth: 0, lineLength: 0, hasLines: false };
+        this.inlineWords = null;
+
+        this.minify = this.options.minify && !this.xml;
+
+        //NOTE: raw source is HTML, so it's not used if the output is reformatted
+        this.cst = this.options.cst && !this.xml && !this.format && !this.minify;
+        this.quirksMode = null;
+
+        //NOTE: minification implies the most compact form of attributes
+        this.attrOptions = this.minify
+            ? Object.assign({}, this.options, {
+                  attributeQuotes: ATTRIBUTE_QUOTES.AUTO,
+                  omitAttributeQuotes: true,
+                  collapseBooleanAttributes: true
+              })
+            : this.options;
     }
 
     //API
     serialize() {
         this._serializeChildNodes(this.startNode);
 
+        if (this.cst) {
+            const rawSource = this.treeAdapter.getNodeRawSource(this.startNode);
+
+            if (rawSource) {
+                this.html += rawSource.after;
+            }
+        }
+
         return this.html;
     }
 
     //Internals
     _serializeChildNodes(parentNode) {
-        const childNodes = this.treeAdapter.getChildNodes(parentNode);
-
-        if (childNodes) {
-            for (let i = 0, cnLength = childNodes.length; i < cnLength; i++) {
-                const currentNode = childNodes[i];
-
-                if (this.treeAdapter.isElementNode(currentNode)) {
-                    this._serializeElement(currentNode);
-                } else if (this.treeAdapter.isTextNode(currentNode)) {
-                    this._serializeTextNode(currentNode);
-                } else if (this.treeAdapter.isCommentNode(currentNode)) {
-                    this._serializeCommentNode(currentNode);
-                } else if (this.treeAdapter.isDocumentTypeNode(currentNode)) {
-                    this._serializeDocumentTypeNode(currentNode);
+        if (this.inlineWords) {
+            this._collectInlineWords(parentNode);
+        } else if (this.format) {
+            if (this._isPreservedNode(parentNode)) {
+                this._serializePreservedChildNodes(parentNode);
+            } else {
+                this._formatChildNodes(parentNode);
+            }
+        } else if (this.minify) {
+            this._serializeMinifiedChildNodes(parentNode);
+        } else {
+            const childNodes = this.treeAdapter.getChildNodes(parentNode);
+
+            if (childNodes) {
+                for (let i = 0, cnLength = childNodes.length; i < cnLength; i++) {
+                    this._serializeNode(childNodes[i]);
                 }
             }
         }
     }
 
+    _serializeNode(node) {
+        const hook = this._getHook(node);
+
+        if (hook) {
+            this._serializeWithHook(node, hook, serializer => serializer._serializeNodeByType(node));
+        } else {
+            this._serializeNodeByType(node);
+        }
+    }
+
+    _serializeNodeByType(node) {
+        const rawSource = this.cst ? this.treeAdapter.getNodeRawSource(node) : null;
+
+        if (rawSource) {
+            this._serializeNodeFromRawSource(node, rawSource);
+        } else if (this.treeAdapter.isElementNode(node)) {
+            this._serializeElement(node);
+        } else if (this.treeAdapter.isTextNode(node)) {
+            this._serializeTextNode(node);
+        } else if (this.treeAdapter.isCommentNode(node)) {
+            this._serializeCommentNode(node);
+        } else if (this.treeAdapter.isDocumentTypeNode(node)) {
+            this._serializeDocumentTypeNode(node);
+        } else if (this._isOpaqueNode(node)) {
+            this._serializeOpaqueNode(node);
+        }
+    }
+
     _serializeElement(node) {
         const tn = this.treeAdapter.getTagName(node);
         const ns = this.treeAdapter.getNamespaceURI(node);
 
+        if (this.xml) {
+            this._serializeXmlElement(node, tn, ns);
+            return;
+        }
+
         this.html += '<' + tn;
         this._serializeAttributes(node);
         this.html += '>';
 
-        if (
-            tn !== $.AREA &&
-            tn !== $.BASE &&
-            tn !== $.BASEFONT &&
-            tn !== $.BGSOUND &&
-            tn !== $.BR &&
-            tn !== $.COL &&
-            tn !== $.EMBED &&
-            tn !== $.FRAME &&
-            tn !== $.HR &&
-            tn !== $.IMG &&
-            tn !== $.INPUT &&
-            tn !== $.KEYGEN &&
-            tn !== $.LINK &&
-            tn !== $.META &&
-            tn !== $.PARAM &&
-            tn !== $.SOURCE &&
-            tn !== $.TRACK &&
-            tn !== $.WBR
-        ) {
+        if (!isVoidElement(tn)) {
             const childNodesHolder =
                 tn === $.TEMPLATE && ns === NS.HTML ? this.treeAdapter.getTemplateContent(node) : node;
 
@@ -96,31 +421,159 @@ class Serializer {
     }
 
     _serializeAttributes(node) {
-        const attrs = this.treeAdapter.getAttrList(node);
+        const attrs = this.treeAdapter.getAttrList(node).map(attr => ({ name: getAttrName(attr), value: attr.value }));
+
+        this.html += Serializer.serializeAttributes(attrs, this.attrOptions);
+    }
+
+    _serializeXmlElement(node, tn, ns) {
+        const parentDefaultNamespace = this.xmlDefaultNamespace;
+        const parentPrefixes = this.xmlPrefixes;
+        const name = toXmlName(tn);
+
+        this.xmlPrefixes = Object.create(parentPrefixes);
+        this.html += '<' + name;
+
+        if (ns !== this.xmlDefaultNamespace) {
+            this.html += ' xmlns="' + escapeXmlString(ns || '', true) + '"';
+            this.xmlDefaultNamespace = ns;
+        }
+
+        this._serializeXmlAttributes(node);
+
+        const childNodesHolder = tn === $.TEMPLATE && ns === NS.HTML ? this.treeAdapter.getTemplateContent(node) : node;
+
+        if (ns === NS.HTML && isVoidElement(tn)) {
+            this.html += ' />';
+        } else if (ns !== NS.HTML && !this.treeAdapter.getChildNodes(childNodesHolder).length) {
+            this.html += '/>';
+        } else {
+            this.html += '>';
+            this._serializeChildNodes(childNodesHolder);
+            this.html += '</' + name + '>';
+        }
+
+        this.xmlDefaultNamespace = parentDefaultNamespace;
+        this.xmlPrefixes = parentPrefixes;
+    }
+
+    _serializeXmlAttributes(node) {
+        let attrs = this.treeAdapter.getAttrList(node);
+
+        if (this.options.sortAttributes) {
+            attrs = sortAttrs(attrs, getAttrName);
+        }
+        const serializedNames = Object.create(null);
 
         for (let i = 0, attrsLength = attrs.length; i < attrsLength; i++) {
             const attr = attrs[i];
-            const value = Serializer.escapeString(attr.value, true);
+            let name = null;
 
-            this.html += ' ';
+            //NOTE: the default namespace is declared by the element itself, so existing declarations are ignored
+            if (attr.name === 'xmlns' && (!attr.namespace || attr.namespace === NS.XMLNS)) {
+                continue;
+            }
 
             if (!attr.namespace) {
-                this.html += attr.name;
+                //NOTE: the `xml` prefix is bound by definition, so it's the only prefix allowed in unqualified names
+                name = attr.name.indexOf('xml:') === 0 ? 'xml:' + toXmlName(attr.name.substr(4)) : toXmlName(attr.name);
             } else if (attr.namespace === NS.XML) {
-                this.html += 'xml:' + attr.name;
+                name = 'xml:' + toXmlName(attr.name);
             } else if (attr.namespace === NS.XMLNS) {
-                if (attr.name !== 'xmlns') {
-                    this.html += 'xmlns:';
+                name = 'xmlns:' + toXmlName(attr.name);
+
+                //NOTE: the prefix can be already declared for the preceding attributes
+                if (serializedNames[name]) {
+                    continue;
                 }
 
-                this.html += attr.name;
+                this.xmlPrefixes[attr.value] = toXmlName(attr.name);
+            } else {
+                name = this._getXmlPrefix(attr, serializedNames) + ':' + toXmlName(attr.name);
+            }
+
+            if (!serializedNames[name]) {
+                serializedNames[name] = true;
+                this.html += ' ' + name + '="' + escapeXmlString(attr.value, true, this.options.encodeEntities) + '"';
+            }
+        }
+    }
+
+    _getXmlPrefix(attr, serializedNames) {
+        let prefix = this.xmlPrefixes[attr.namespace];
+
+        if (!prefix) {
+            if (attr.prefix) {
+                prefix = toXmlName(attr.prefix);
             } else if (attr.namespace === NS.XLINK) {
-                this.html += 'xlink:' + attr.name;
+                prefix = 'xlink';
             } else {
-                this.html += attr.namespace + ':' + attr.name;
+                prefix = 'ns' + ++this.xmlGeneratedPrefixIdx;
+            }
+
+            //NOTE: the prefix can be already declared for another namespace by the element itself
+            while (serializedNames['xmlns:' + prefix]) {
+                prefix = 'ns' + ++this.xmlGeneratedPrefixIdx;
             }
 
-            this.html += '="' + value + '"';
+            this.xmlPrefixes[attr.namespace] = prefix;
+            serializedNames['xmlns:' + prefix] = true;
+            this.html += ' xmlns:' + prefix + '="' + escapeXmlString(attr.namespace, true) + '"';
+        }
+
+        return prefix;
+    }
+
+    //CST
+    _serializeNodeFromRawSource(node, rawSource) {
+        this.html += rawSource.before;
+
+        if (this.treeAdapter.isElementNode(node)) {
+            this._serializeElementFromRawSource(node, rawSource);
+        } else if (rawSource.html !== null && !isNodeDataChanged(node, rawSource.original, this.treeAdapter)) {
+            this.html += rawSource.html;
+        } else if (this.treeAdapter.isTextNode(node)) {
+            this._serializeTextNode(node);
+        } else if (this.treeAdapter.isCommentNode(node)) {
+            this._serializeCommentNode(node);
+        } else if (this._isOpaqueNode(node)) {
+            this._serializeOpaqueNode(node);
+        } else {
+            this._serializeDocumentTypeNode(node);
+        }
+    }
+
+    _serializeElementFromRawSource(node, rawSource) {
+        const tn = this.treeAdapter.getTagName(node);
+        const ns = this.treeAdapter.getNamespaceURI(node);
+        const childNodesHolder = tn === $.TEMPLATE && ns === NS.HTML ? this.treeAdapter.getTemplateContent(node) : node;
+
+        //NOTE: self-closing start tags of foreign elements can't be followed by the element content
+        const isSelfClosing = ns !== NS.HTML && rawSource.startTag !== null && rawSource.startTag.endsWith('/>');
+        const isStartTagPreserved =
+            rawSource.startTag !== null &&
+            !isNodeDataChanged(node, rawSource.original, this.treeAdapter) &&
+            !(isSelfClosing && this.treeAdapter.getChildNodes(childNodesHolder).length);
+
+        if (isStartTagPreserved) {
+            this.html += rawSource.startTag;
+        } else {
+            this.html += '<' + tn;
+            this._serializeAttributes(node);
+            this.html += '>';
+        }
+
+        if (!isVoidElement(tn)) {
+            this._serializeChildNodes(childNodesHolder);
+            this.html += rawSource.after;
+
+            //NOTE: end tags that were omitted in the source are omitted in the output as well
+            const isEndTagPreserved =
+                rawSource.endTag !== null &&
+                tn === rawSource.original.tagName &&
+                (isStartTagPreserved || !isSelfClosing);
+
+            this.html += isEndTagPreserved ? rawSource.endTag : '</' + tn + '>';
         }
     }
 
@@ -133,7 +586,9 @@ class Serializer {
             parentTn = this.treeAdapter.getTagName(parent);
         }
 
-        if (
+        if (this.xml) {
+            this._serializeXmlText(content, parentTn);
+        } else if (
             parentTn === $.STYLE ||
             parentTn === $.SCRIPT ||
             parentTn === $.XMP ||
@@ -141,28 +596,781 @@ class Serializer {
             parentTn === $.NOEMBED ||
             parentTn === $.NOFRAMES ||
             parentTn === $.PLAINTEXT ||
-            parentTn === $.NOSCRIPT
+            parentTn === $.NOSCRIPT ||
+            (this.rawTextElements[parentTn] && this.rawTextElements[parentTn] !== Tokenizer.MODE.RCDATA)
         ) {
             this.html += content;
+        } else if (this.minify) {
+            const escaped = content.replace(MINIFIED_AMP_REGEX, '&amp;').replace(MINIFIED_LT_REGEX, '&lt;');
+
+            this.html += encodeNonAsciiChars(escaped, this.options.encodeEntities);
+        } else {
+            this.html += Serializer.escapeString(content, false, this.options.encodeEntities);
+        }
+    }
+
+    _serializeXmlText(content, parentTn) {
+        content = toXmlChars(content);
+
+        //NOTE: keep the content of scripts and styles intact, so it remains usable if the output is parsed as HTML
+        if ((parentTn === $.SCRIPT || parentTn === $.STYLE) && XML_RAW_TEXT_SPECIAL_CHAR_REGEX.test(content)) {
+            this.html += '<![CDATA[' + content.replace(CDATA_END_REGEX, ']]]]><![CDATA[>') + ']]>';
         } else {
-            this.html += Serializer.escapeString(content, false);
+            this.html += escapeXmlString(content, false, this.options.encodeEntities);
         }
     }
 
     _serializeCommentNode(node) {
-        this.html += '<!--' + this.treeAdapter.getCommentNodeContent(node) + '-->';
+        let content = this.treeAdapter.getCommentNodeContent(node);
+
+        //NOTE: XML comments can't contain `--` and can't end with `-`
+        if (this.xml) {
+            content = toXmlChars(content).replace(DOUBLE_HYPHEN_REGEX, '- ');
+
+            if (content[content.length - 1] === '-') {
+                content += ' ';
+            }
+        }
+
+        this.html += '<!--' + content + '-->';
+    }
+
+    //NOTE: islands of template markup are emitted as is
+    _serializeOpaqueNode(node) {
+        this.html += this.treeAdapter.getOpaqueNodeContent(node);
     }
 
     _serializeDocumentTypeNode(node) {
-        const name = this.treeAdapter.getDocumentTypeNodeName(node);
+        let name = this.treeAdapter.getDocumentTypeNodeName(node);
+        let publicId = null;
+        let systemId = null;
+
+        if (this.fullDoctype) {
+            const ta = this.treeAdapter;
+
+            publicId = getDocumentTypeNodeId(
+                ta.getDocumentTypeNodePublicId(node),
+                ta.hasDocumentTypeNodePublicId,
+                node
+            );
+            systemId = getDocumentTypeNodeId(
+                ta.getDocumentTypeNodeSystemId(node),
+                ta.hasDocumentTypeNodeSystemId,
+                node
+            );
+        }
+
+        if (this.xml) {
+            name = toXmlName(name);
+            publicId = publicId && toXmlChars(publicId);
+            systemId = systemId && toXmlChars(systemId);
+
+            //NOTE: XML requires the system identifier if the public one is specified
+            if (publicId !== null && systemId === null) {
+                systemId = '';
+            }
+        }
+
+        this.html += '<' + doctype.serializeContent(name, publicId, systemId) + '>';
+    }
+
+    //Minification
+    _serializeMinifiedChildNodes(parentNode) {
+        const childNodes = this._getMinifiedChildNodes(parentNode);
+        let prevEndTagOmitted = false;
+        let omittedEndTag = '';
+
+        for (let i = 0, cnLength = childNodes.length; i < cnLength; i++) {
+            const currentNode = childNodes[i];
+            const isElement = this.treeAdapter.isElementNode(currentNode);
+            const hook = this._getHook(currentNode);
+            const siblings = {
+                prev: childNodes[i - 1] || null,
+                next: childNodes[i + 1] || null,
+                prevEndTagOmitted
+            };
+
+            let endTagOmitted = false;
+
+            //NOTE: the hook gets the markup with the end tag, so it's not lost if the hook wraps the element
+            const serializeDefault = serializer => {
+                if (isElement) {
+                    endTagOmitted = serializer._serializeMinifiedElement(currentNode, parentNode, siblings, !!hook);
+                } else {
+                    serializer._serializeNodeByType(currentNode);
+                }
+            };
+
+            if (hook) {
+                const output = this._getHookOutput(currentNode, hook, serializeDefault);
+                let html = output.html;
+
+                //NOTE: optional tags are omitted according to the tree, so the hook's output is expected to be
+                //equivalent to the node's one. If the node was replaced, skipped or wrapped, we can't tell how it's
+                //parsed, so the end tags of the node and the previous element are kept.
+                if (!output.isDefault) {
+                    this.html += omittedEndTag;
+                    endTagOmitted = false;
+                } else if (endTagOmitted) {
+                    html = html.slice(0, html.length - getEndTag(this.treeAdapter.getTagName(currentNode)).length);
+                }
+
+                this.html += html;
+            } else {
+                serializeDefault(this);
+            }
+
+            prevEndTagOmitted = endTagOmitted;
+            omittedEndTag = endTagOmitted ? getEndTag(this.treeAdapter.getTagName(currentNode)) : '';
+        }
+    }
+
+    _getMinifiedChildNodes(parentNode) {
+        const childNodes = this.treeAdapter.getChildNodes(parentNode) || [];
+
+        if (this.options.minifyWhitespace && WHITESPACE_INSIGNIFICANT_ELEMENTS[this._getHtmlTagName(parentNode)]) {
+            return childNodes.filter(
+                node =>
+                    !this.treeAdapter.isTextNode(node) ||
+                    !WHITESPACE_ONLY_REGEX.test(this.treeAdapter.getTextNodeContent(node))
+            );
+        }
+
+        return childNodes;
+    }
+
+    //NOTE: returns `true` if the end tag of the element can be omitted. It's written anyway if `keepEndTag` is set.
+    _serializeMinifiedElement(node, parentNode, siblings, keepEndTag) {
+        const tn = this.treeAdapter.getTagName(node);
+        const ns = this.treeAdapter.getNamespaceURI(node);
+        const childNodesHolder = tn === $.TEMPLATE && ns === NS.HTML ? this.treeAdapter.getTemplateContent(node) : node;
+        const childNodes = this._getMinifiedChildNodes(childNodesHolder);
+
+        if (!this._canOmitStartTag(node, tn, parentNode, childNodes[0] || null, siblings)) {
+            this.html += '<' + tn;
+            this._serializeAttributes(node);
+            this.html += '>';
+        }
+
+        if (isVoidElement(tn)) {
+            return false;
+        }
+
+        this._serializeChildNodes(childNodesHolder);
+
+        const canOmitEndTag = this._canOmitEndTag(node, tn, parentNode, siblings.next);
+
+        if (!canOmitEndTag || keepEndTag) {
+            this.html += getEndTag(tn);
+        }
+
+        return canOmitEndTag;
+    }
+
+    //NOTE: optional tags are omitted only if the parser restores the same tree. So, we follow
+    //the optional tags rules (see: https://html.spec.whatwg.org/multipage/syntax.html#optional-tags),
+    //but also check the conditions that are guaranteed for conforming documents only.
+    _canOmitStartTag(node, tn, parentNode, firstChild, siblings) {
+        if (this.treeAdapter.getNamespaceURI(node) !== NS.HTML || this.treeAdapter.getAttrList(node).length) {
+            return false;
+        }
+
+        const firstChildTn = firstChild && this._getHtmlTagName(firstChild);
+        const parentTn = this._getHtmlTagName(parentNode);
+        const prevTn = siblings.prev && this._getHtmlTagName(siblings.prev);
+
+        switch (tn) {
+            case $.HTML:
+                return !this.treeAdapter.isElementNode(parentNode) && !this._isCommentNode(firstChild);
+
+            case $.HEAD:
+                return !firstChild || this.treeAdapter.isElementNode(firstChild);
+
+            case $.BODY:
+                return (
+                    !firstChild ||
+                    (!this._startsWithWhitespace(firstChild) &&
+                        !this._isCommentNode(firstChild) &&
+                        !HEAD_CONTENT_ELEMENTS[firstChildTn])
+                );
+
+            case $.COLGROUP:
+                return (
+                    parentTn === $.TABLE &&
+                    firstChildTn === $.COL &&
+                    !(prevTn === $.COLGROUP && siblings.prevEndTagOmitted)
+                );
+
+            case $.TBODY:
+                return (
+                    parentTn === $.TABLE &&
+                    firstChildTn === $.TR &&
+                    !((prevTn === $.TBODY || prevTn === $.THEAD || prevTn === $.TFOOT) && siblings.prevEndTagOmitted)
+                );
+
+            default:
+                return false;
+        }
+    }
+
+    _canOmitEndTag(node, tn, parentNode, next) {
+        if (this.treeAdapter.getNamespaceURI(node) !== NS.HTML) {
+            return false;
+        }
+
+        const nextTn = next && this._getHtmlTagName(next);
+        const parentTn = this._getHtmlTagName(parentNode);
+
+        switch (tn) {
+            case $.HTML:
+            case $.BODY:
+                return !next;
+
+            case $.HEAD:
+                return !next || (!this._startsWithWhitespace(next) && !this._isCommentNode(next));
+
+            case $.LI:
+                return nextTn === $.LI || (!next && this._isClosedByParentEndTag(parentNode));
+
+            case $.DT:
+                return nextTn === $.DT || nextTn === $.DD;
+
+            case $.DD:
+                return nextTn === $.DD || nextTn === $.DT || (!next && this._isClosedByParentEndTag(parentNode));
+
+            case $.P:
+                return (
+                    !!P_CLOSING_ELEMENTS[nextTn] ||
+                    (nextTn === $.TABLE && !this._isQuirksMode()) ||
+                    (!next && this._isClosedByParentEndTag(parentNode))
+                );
+
+            case $.RT:
+            case $.RP:
+                return (
+                    (parentTn === $.RUBY || parentTn === $.RTC) &&
+                    (!next || nextTn === $.RT || nextTn === $.RP || nextTn === $.RB || nextTn === $.RTC)
+                );
+
+            case $.RB:
+                return (
+                    parentTn === $.RUBY &&
+                    (!next || nextTn === $.RB || nextTn === $.RT || nextTn === $.RTC || nextTn === $.RP)
+                );
+
+            case $.RTC:
+                return parentTn === $.RUBY && (!next || nextTn === $.RB || nextTn === $.RTC || nextTn === $.RP);
+
+            case $.OPTGROUP:
+                return parentTn === $.SELECT && (!next || nextTn === $.OPTGROUP);
+
+            case $.OPTION:
+                return !next || nextTn === $.OPTION || nextTn === $.OPTGROUP;
+
+            case $.COLGROUP:
+                return (
+                    parentTn === $.TABLE &&
+                    (!next ||
+                        (!this._startsWithWhitespace(next) && !this._isCommentNode(next) && nextTn !== $.TEMPLATE))
+                );
+
+            case $.CAPTION:
+                return (
+                    parentTn === $.TABLE &&
+                    (!next ||
+                        nextTn === $.COLGROUP ||
+                        nextTn === $.COL ||
+                        nextTn === $.THEAD ||
+                        nextTn === $.TBODY ||
+                        nextTn === $.TFOOT ||
+                        nextTn === $.TR)
+                );
+
+            case $.THEAD:
+                return parentTn === $.TABLE && (nextTn === $.TBODY || nextTn === $.TFOOT);
+
+            case $.TBODY:
+                return parentTn === $.TABLE && (!next || nextTn === $.TBODY || nextTn === $.TFOOT);
+
+            case $.TFOOT:
+                return parentTn === $.TABLE && (!next || nextTn === $.TBODY);
+
+            case $.TR:
+                return (
+                    (parentTn === $.TBODY || parentTn === $.THEAD || parentTn === $.TFOOT) && (!next || nextTn === $.TR)
+                );
+
+            case $.TD:
+            case $.TH:
+                return parentTn === $.TR && (!next || nextTn === $.TD || nextTn === $.TH);
+
+            default:
+                return false;
+        }
+    }
 
-        this.html += '<' + doctype.serializeContent(name, null, null) + '>';
+    //NOTE: the end of the input and end tags of the template and document fragments close all elements
+    _isClosedByParentEndTag(parentNode) {
+        return (
+            parentNode === this.startNode ||
+            !this.treeAdapter.isElementNode(parentNode) ||
+            !!IMPLIED_END_TAGS_GENERATING_ELEMENTS[this._getHtmlTagName(parentNode)]
+        );
     }
+
+    //NOTE: the mode is unknown if the serialized node doesn't belong to a document, so we assume the worst case
+    _isQuirksMode() {
+        if (this.quirksMode === null) {
+            let root = this.startNode;
+            let parent = this.treeAdapter.getParentNode(root);
+
+            while (parent) {
+                root = parent;
+                parent = this.treeAdapter.getParentNode(root);
+            }
+
+            this.quirksMode = this.treeAdapter.getDocumentMode(root) !== HTML.DOCUMENT_MODE.NO_QUIRKS;
+        }
+
+        return this.quirksMode;
+    }
+
+    _getHtmlTagName(node) {
+        return this.treeAdapter.isElementNode(node) && this.treeAdapter.getNamespaceURI(node) === NS.HTML
+            ? this.treeAdapter.getTagName(node)
+            : null;
+    }
+
+    //NOTE: opaque nodes are parsed just like comments, so they affect tag omission in the same way
+    _isCommentNode(node) {
+        return !!node && (this.treeAdapter.isCommentNode(node) || this._isOpaqueNode(node));
+    }
+
+    //NOTE: opaque nodes are created only if the parser is used with opaque islands, so tree adapters
+    //are not required to support them
+    _isOpaqueNode(node) {
+        return !!this.treeAdapter.isOpaqueNode && this.treeAdapter.isOpaqueNode(node);
+    }
+
+    _startsWithWhitespace(node) {
+        return (
+            this.treeAdapter.isTextNode(node) &&
+            LEADING_WHITESPACE_REGEX.test(this.treeAdapter.getTextNodeContent(node))
+        );
+    }
+
+    //Formatting
+    _formatChildNodes(parentNode) {
+        const items = this._getFormattingItems(parentNode);
+        const isStartNode = parentNode === this.startNode;
+        const state = this.formatState;
+
+        if (!items.length) {
+            return;
+        }
+
+        //NOTE: inline content that fits into the line is placed right after the start tag. In nested serializers
+        //`html` contains only the start tag of the parent element at this point.
+        if (items.length === 1 && items[0].words) {
+            const line = items[0].words.join(' ');
+            const endTagLength = this.treeAdapter.isElementNode(parentNode)
+                ? this.treeAdapter.getTagName(parentNode).length + 3
+                : 0;
+
+            if (
+                line.indexOf('\n') === -1 &&
+                state.lineLength + this.html.length + line.length + endTagLength <= this.options.lineWidth
+            ) {
+                this.html += line;
+                return;
+            }
+        }
+
+        if (!isStartNode) {
+            state.depth++;
+        }
+
+        items.forEach(item => {
+            this._startFormattedLine();
+
+            if (item.words) {
+                this._writeFormattedWords(item.words);
+            } else {
+                const html = this._serializeToString(item.node, true, null);
+
+                this.html += html;
+            }
+        });
+
+        if (!isStartNode) {
+            state.depth--;
+            this._startFormattedLine();
+        }
+    }
+
+    //NOTE: the whole subtree of the preserved element is serialized as is, including nested elements
+    _serializePreservedChildNodes(parentNode) {
+        this.treeAdapter.getChildNodes(parentNode).forEach(node => {
+            this.html += this._serializeToString(node, false, null);
+        });
+    }
+
+    _getFormattingItems(parentNode) {
+        const items = [];
+        let inlineNodes = [];
+
+        const addInlineNodes = () => {
+            const words = this._getInlineWords(inlineNodes);
+
+            if (words.length) {
+                items.push({ words });
+            }
+
+            inlineNodes = [];
+        };
+
+        this.treeAdapter.getChildNodes(parentNode).forEach(node => {
+            if (this._isBlockNode(node)) {
+                addInlineNodes();
+                items.push({ node });
+            } else {
+                inlineNodes.push(node);
+            }
+        });
+
+        addInlineNodes();
+
+        return items;
+    }
+
+    _isBlockNode(node) {
+        const whitespaceSensitivity = this.options.whitespaceSensitivity;
+
+        if (whitespaceSensitivity === WHITESPACE_SENSITIVITY.STRICT || this.treeAdapter.isTextNode(node)) {
+            return false;
+        }
+
+        if (whitespaceSensitivity === WHITESPACE_SENSITIVITY.IGNORE || this.treeAdapter.isDocumentTypeNode(node)) {
+            return true;
+        }
+
+        return (
+            this.treeAdapter.isElementNode(node) &&
+            this.treeAdapter.getNamespaceURI(node) === NS.HTML &&
+            !!BLOCK_ELEMENTS[this.treeAdapter.getTagName(node)]
+        );
+    }
+
+    _isPreservedNode(node) {
+        if (!this.treeAdapter.isElementNode(node) || this.treeAdapter.getNamespaceURI(node) !== NS.HTML) {
+            return false;
+        }
+
+        const tn = this.treeAdapter.getTagName(node);
+
+        return !!PRESERVED_ELEMENTS[tn] || !!this.rawTextElements[tn];
+    }
+
+    //NOTE: inline content is split into words at whitespace, which can be replaced with line breaks
+    //without affecting rendering. Inline elements are a part of the words that contain their content.
+    _getInlineWords(nodes) {
+        const inlineWords = { list: [], current: '' };
+
+        this._collectInlineWordsFromNodes(nodes, inlineWords);
+        inlineWords.list.push(inlineWords.current);
+
+        const words = inlineWords.list;
+
+        //NOTE: in strict mode whitespace at the edges of the inline content is kept
+        if (this.options.whitespaceSensitivity === WHITESPACE_SENSITIVITY.STRICT) {
+            return words.filter((word, idx) => word || idx === 0 || idx === words.length - 1);
+        }
+
+        return words.filter(word => word);
+    }
+
+    _collectInlineWords(parentNode) {
+        //NOTE: at this point `html` contains the start tag of the inline element
+        this.inlineWords.current += this.html;
+        this.html = '';
+
+        this._collectInlineWordsFromNodes(this.treeAdapter.getChildNodes(parentNode), this.inlineWords);
+    }
+
+    _collectInlineWordsFromNodes(nodes, inlineWords) {
+        nodes.forEach(node => {
+            if (this.treeAdapter.isTextNode(node)) {
+                const chunks = this._serializeToString(node, false, null).split(WHITESPACE_REGEX);
+
+                inlineWords.current += chunks[0];
+
+                for (let i = 1; i < chunks.length; i++) {
+                    inlineWords.list.push(inlineWords.current);
+                    inlineWords.current = chunks[i];
+                }
+            } else {
+                const isPreserved = !this.treeAdapter.isElementNode(node) || this._isPreservedNode(node);
+                const html = this._serializeToString(node, false, isPreserved ? null : inlineWords);
+
+                inlineWords.current += html;
+            }
+        });
+    }
+
+    _writeFormattedWords(words) {
+        const state = this.formatState;
+
+        words.forEach((word, idx) => {
+            //NOTE: words that contain preserved content can span multiple lines
+            const firstLineBreakIdx = word.indexOf('\n');
+            const firstLineLength = firstLineBreakIdx === -1 ? word.length : firstLineBreakIdx;
+
+            if (idx > 0) {
+                if (state.lineLength + firstLineLength + 1 > this.options.lineWidth) {
+                    this._startFormattedLine();
+                } else {
+                    this.html += ' ';
+                    state.lineLength++;
+                }
+            }
+
+            this.html += word;
+
+            const lastLineBreakIdx = word.lastIndexOf('\n');
+
+            state.lineLength =
+                lastLineBreakIdx === -1 ? state.lineLength + word.length : word.length - lastLineBreakIdx - 1;
+        });
+    }
+
+    _startFormattedLine() {
+        const state = this.formatState;
+        const indent = this.indent.repeat(state.depth);
+
+        if (state.hasLines) {
+            this.html += '\n';
+        }
+
+        this.html += indent;
+        state.hasLines = true;
+        state.lineLength = indent.length;
+    }
+
+    //NOTE: serializes the node with the nested serializer that shares the state with this one, but has its own output.
+    _serializeToString(node, format, inlineWords) {
+        const serializer = this._createNestedSerializer(format, inlineWords);
+
+        serializer._serializeNode(node);
+
+        return serializer.html;
+    }
+
+    _createNestedSerializer(format, inlineWords) {
+        const serializer = Object.create(this);
+
+        Object.defineProperty(serializer, 'html', { value: '', writable: true });
+        serializer.format = format;
+        serializer.inlineWords = inlineWords;
+
+        return serializer;
+    }
+
+    //Hooks
+    _getHook(node) {
+        if (this.treeAdapter.isElementNode(node)) {
+            return this.options.onElement;
+        }
+
+        if (this.treeAdapter.isTextNode(node)) {
+            return this.options.onText;
+        }
+
+        if (this.treeAdapter.isCommentNode(node)) {
+            return this.options.onComment;
+        }
+
+        return null;
+    }
+
+    //NOTE: the default output is produced by the nested serializer on demand, so the hook can skip, replace or wrap it.
+    //In formatting mode the output of the hooked node is never split into multiple lines.
+    _serializeWithHook(node, hook, serializeDefault) {
+        this.html += this._getHookOutput(node, hook, serializeDefault).html;
+    }
+
+    _getHookOutput(node, hook, serializeDefault) {
+        let defaultHtml = null;
+
+        const getDefaultHtml = () => {
+            if (defaultHtml === null) {
+                const serializer = this._createNestedSerializer(this.format, null);
+
+                serializeDefault(serializer);
+                defaultHtml = serializer.html;
+            }
+
+            return defaultHtml;
+        };
+
+        const html = hook(node, getDefaultHtml);
+
+        if (html === void 0 || (defaultHtml !== null && html === defaultHtml)) {
+            return { html: getDefaultHtml(), isDefault: true };
+        }
+
+        return { html, isDefault: false };
+    }
+}
+
+//Utils
+function getEndTag(tn) {
+    return '</' + tn + '>';
+}
+
+function isVoidElement(tn) {
+    return (
+        tn === $.AREA ||
+        tn === $.BASE ||
+        tn === $.BASEFONT ||
+        tn === $.BGSOUND ||
+        tn === $.BR ||
+        tn === $.COL ||
+        tn === $.EMBED ||
+        tn === $.FRAME ||
+        tn === $.HR ||
+        tn === $.IMG ||
+        tn === $.INPUT ||
+        tn === $.KEYGEN ||
+        tn === $.LINK ||
+        tn === $.META ||
+        tn === $.PARAM ||
+        tn === $.SOURCE ||
+        tn === $.TRACK ||
+        tn === $.WBR
+    );
+}
+
+function getAttrName(attr) {
+    if (!attr.namespace) {
+        return attr.name;
+    }
+
+    if (attr.namespace === NS.XML) {
+        return 'xml:' + attr.name;
+    }
+
+    if (attr.namespace === NS.XMLNS) {
+        return attr.name === 'xmlns' ? attr.name : 'xmlns:' + attr.name;
+    }
+
+    if (attr.namespace === NS.XLINK) {
+        return 'xlink:' + attr.name;
+    }
+
+    return attr.namespace + ':' + attr.name;
+}
+
+//NOTE: the sort is stable, so attributes with the same name keep their order
+function sortAttrs(attrs, getName) {
+    return attrs
+        .map((attr, idx) => ({ attr, idx, name: getName(attr) }))
+        .sort((a, b) => {
+            if (a.name === b.name) {
+                return a.idx - b.idx;
+            }
+
+            return a.name < b.name ? -1 : 1;
+        })
+        .map(entry => entry.attr);
+}
+
+function getAttrQuote(value, attributeQuotes) {
+    if (attributeQuotes === ATTRIBUTE_QUOTES.AUTO) {
+        //NOTE: we use the quotes that occur in the value less often, so fewer characters should be escaped
+        const doubleQuoteCount = value.split('"').length;
+        const singleQuoteCount = value.split("'").length;
+
+        return doubleQuoteCount > singleQuoteCount ? "'" : '"';
+    }
+
+    return attributeQuotes === ATTRIBUTE_QUOTES.SINGLE ? "'" : '"';
+}
+
+function serializeAttrValue(value, options) {
+    if (!value && options.collapseBooleanAttributes) {
+        return '';
+    }
+
+    //NOTE: values that were tokenized without decoding contain character references that should be kept as is
+    if (options.decodeEntities !== false) {
+        //NOTE: in minification mode ampersands are escaped only if they can start a character reference
+        value = options.minify ? value.replace(MINIFIED_AMP_REGEX, '&amp;') : value.replace(AMP_REGEX, '&amp;');
+    }
+
+    if (!options.minify) {
+        value = value.replace(NBSP_REGEX, '&nbsp;');
+    }
+
+    value = encodeNonAsciiChars(value, options.encodeEntities);
+
+    if (options.omitAttributeQuotes && UNQUOTED_ATTR_VALUE_REGEX.test(value)) {
+        return '=' + value;
+    }
+
+    if (getAttrQuote(value, options.attributeQuotes) === "'") {
+        return "='" + value.replace(SINGLE_QUOTE_REGEX, '&#39;') + "'";
+    }
+
+    return '="' + value.replace(DOUBLE_QUOTE_REGEX, '&quot;') + '"';
+}
+
+//NOTE: tree adapters store missing identifiers as empty strings. Empty identifiers may affect the document mode
+//(e.g. the empty system identifier of the HTML 4.01 Transitional DTD), so we keep them if the tree adapter records
+//that the identifier was present in the source.
+function getDocumentTypeNodeId(id, hasId, node) {
+    const isPresent = hasId ? hasId(node) : !!id;
+
+    return isPresent ? id : null;
+}
+
+//NOTE: names that are not valid XML names are repaired by replacing invalid characters with `_`.
+//Colons are replaced as well, so the result is always a valid local name.
+function toXmlName(name) {
+    name = name.replace(INVALID_XML_NAME_CHAR_REGEX, '_');
+
+    return XML_NAME_START_CHAR_REGEX.test(name) ? name : '_' + name;
+}
+
+//NOTE: characters that are not allowed in XML documents are replaced with U+FFFD
+function toXmlChars(str) {
+    return str.replace(INVALID_XML_CHAR_REGEX, '\ufffd');
+}
+
+function escapeXmlString(str, attrMode, encodeEntities) {
+    str = toXmlChars(str)
+        .replace(AMP_REGEX, '&amp;')
+        .replace(LT_REGEX, '&lt;')
+        .replace(GT_REGEX, '&gt;');
+
+    if (attrMode) {
+        str = str.replace(DOUBLE_QUOTE_REGEX, '&quot;');
+    }
+
+    //NOTE: XML doesn't have HTML named character references, so we always use numeric ones
+    if (encodeEntities && encodeEntities !== ENTITY_ENCODING.MINIMAL) {
+        str = encodeNonAsciiChars(str, ENTITY_ENCODING.NON_ASCII);
+    }
+
+    return str;
 }
 
 // NOTE: used in tests and by rewriting stream
-Serializer.escapeString = function(str, attrMode) {
-    str = str.replace(AMP_REGEX, '&amp;').replace(NBSP_REGEX, '&nbsp;');
+Serializer.escapeString = function(str, attrMode, encodeEntities, keepCharRefs) {
+    if (!keepCharRefs) {
+        str = str.replace(AMP_REGEX, '&amp;');
+    }
+
+    str = str.replace(NBSP_REGEX, '&nbsp;');
 
     if (attrMode) {
         str = str.replace(DOUBLE_QUOTE_REGEX, '&quot;');
@@ -170,7 +1378,22 @@ Serializer.escapeString = function(str, attrMode) {
         str = str.replace(LT_REGEX, '&lt;').replace(GT_REGEX, '&gt;');
     }
 
-    return str;
+    return encodeNonAsciiChars(str, encodeEntities);
+};
+
+// NOTE: used by rewriting stream. Attributes are expected to have qualified names.
+Serializer.serializeAttributes = function(attrs, options) {
+    let html = '';
+
+    if (options.sortAttributes) {
+        attrs = sortAttrs(attrs, attr => attr.name);
+    }
+
+    for (let i = 0, attrsLength = attrs.length; i < attrsLength; i++) {
+        html += ' ' + attrs[i].name + serializeAttrValue(attrs[i].value, options);
+    }
+
+    return html;
 };
 
 module.exports = Serializer;
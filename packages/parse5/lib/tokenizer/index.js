@@ -4,6 +4,7 @@ const Preprocessor = require('./preprocessor');
 const unicode = require('../common/unicode');
 const neTree = require('./named-entity-data');
 const ERR = require('../common/error-codes');
+const Mixin = require('../utils/mixin');
 
 //Aliases
 const $ = unicode.CODE_POINTS;
@@ -127,6 +128,7 @@ const DECIMAL_CHARACTER_REFERENCE_START_STATE = 'DECIMAL_CHARACTER_REFERENCE_STA
 const HEXADEMICAL_CHARACTER_REFERENCE_STATE = 'HEXADEMICAL_CHARACTER_REFERENCE_STATE';
 const DECIMAL_CHARACTER_REFERENCE_STATE = 'DECIMAL_CHARACTER_REFERENCE_STATE';
 const NUMERIC_CHARACTER_REFERENCE_END_STATE = 'NUMERIC_CHARACTER_REFERENCE_END_STATE';
+const OPAQUE_ISLAND_STATE = 'OPAQUE_ISLAND_STATE';
 
 //Utils
 
@@ -189,21 +191,30 @@ function toAsciiLowerChar(cp) {
     return String.fromCharCode(toAsciiLowerCodePoint(cp));
 }
 
-function findNamedEntityTreeBranch(nodeIx, cp) {
-    const branchCount = neTree[++nodeIx];
+function toCodePoints(str) {
+    return Array.from(str, ch => ch.codePointAt(0));
+}
+
+//NOTE: tokens consist of plain data only, so we copy them via JSON to make the snapshot independent of the tokenizer
+function copyData(data) {
+    return data === null ? null : JSON.parse(JSON.stringify(data));
+}
+
+function findNamedEntityTreeBranch(tree, nodeIx, cp) {
+    const branchCount = tree[++nodeIx];
     let lo = ++nodeIx;
     let hi = lo + branchCount - 1;
 
     while (lo <= hi) {
         const mid = (lo + hi) >>> 1;
-        const midCp = neTree[mid];
+        const midCp = tree[mid];
 
         if (midCp < cp) {
             lo = mid + 1;
         } else if (midCp > cp) {
             hi = mid - 1;
         } else {
-            return neTree[mid + branchCount];
+            return tree[mid + branchCount];
         }
     }
 
@@ -218,6 +229,9 @@ class Tokenizer {
         this.tokenQueue = [];
 
         this.allowCDATA = false;
+        this.decodeEntities = true;
+        this.namedEntityTree = neTree;
+        this.opaqueIslands = null;
 
         this.state = DATA_STATE;
         this.returnState = '';
@@ -232,6 +246,8 @@ class Tokenizer {
         this.currentCharacterToken = null;
         this.currentToken = null;
         this.currentAttr = null;
+        this.currentOpaqueIsland = null;
+        this.opaqueIslandData = '';
     }
 
     //Errors
@@ -270,6 +286,46 @@ class Tokenizer {
         this.preprocessor.insertHtmlAtCurrentPos(chunk);
     }
 
+    //NOTE: the snapshot is taken between getNextToken() calls, so the tokenizer is never in the middle of a state
+    //transition. The current attribute is stored as an index, since it's shared with the current token once its
+    //name is consumed. Extensions that depend on the state that can't be serialized (e.g. the parse error
+    //callback) don't support snapshots.
+    snapshot() {
+        const ct = this.currentToken;
+        const islands = this.opaqueIslands;
+        let locationInfo = null;
+
+        (this.__mixins || []).forEach(mixin => {
+            if (typeof mixin.snapshot !== 'function') {
+                throw new Error('Tokenizer snapshot is supported only with the source code location info extension');
+            }
+
+            locationInfo = mixin.snapshot();
+        });
+
+        return {
+            preprocessor: this.preprocessor.snapshot(),
+            tokenQueue: copyData(this.tokenQueue),
+            allowCDATA: this.allowCDATA,
+            decodeEntities: this.decodeEntities,
+            namedEntityTree: this.namedEntityTree === neTree ? null : Array.from(this.namedEntityTree),
+            opaqueIslands: copyData(islands),
+            state: this.state,
+            returnState: this.returnState,
+            charRefCode: this.charRefCode,
+            tempBuff: this.tempBuff.slice(),
+            lastStartTagName: this.lastStartTagName,
+            active: this.active,
+            currentCharacterToken: copyData(this.currentCharacterToken),
+            currentToken: copyData(ct),
+            currentAttr: copyData(this.currentAttr),
+            currentAttrIdx: ct && ct.attrs ? ct.attrs.indexOf(this.currentAttr) : -1,
+            currentOpaqueIslandIdx: islands ? islands.indexOf(this.currentOpaqueIsland) : -1,
+            opaqueIslandData: this.opaqueIslandData,
+            sourceCodeLocationInfo: locationInfo
+        };
+    }
+
     //Hibernation
     _ensureHibernation() {
         if (this.preprocessor.endOfChunkHit) {
@@ -338,6 +394,19 @@ class Tokenizer {
         return isMatch;
     }
 
+    //NOTE: names of the standard elements with the text content consist of ASCII letters only, but custom
+    //elements (see the `rawTextElements` parser option) can be named e.g. `x-markdown`. So, we consume other
+    //code points of the end tag name if they match the start tag name.
+    _isLastStartTagNameContinuation(cp) {
+        const tagName = this.currentToken.tagName;
+
+        return (
+            this.lastStartTagName.length > tagName.length &&
+            this.lastStartTagName.codePointAt(tagName.length) === cp &&
+            this.lastStartTagName.startsWith(tagName)
+        );
+    }
+
     //Temp buffer
     _isTempBufferEqualToScriptString() {
         if (this.tempBuff.length !== $$.SCRIPT_STRING.length) {
@@ -380,6 +449,13 @@ class Tokenizer {
         };
     }
 
+    _createOpaqueIslandToken() {
+        this.currentToken = {
+            type: Tokenizer.OPAQUE_ISLAND_TOKEN,
+            data: ''
+        };
+    }
+
     _createDoctypeToken(initialName) {
         this.currentToken = {
             type: Tokenizer.DOCTYPE_TOKEN,
@@ -419,10 +495,61 @@ class Tokenizer {
         this.state = toState;
     }
 
+    _appendToCurrentAttrValue(str) {
+        this.currentAttr.value += str;
+    }
+
     _leaveAttrValue(toState) {
         this.state = toState;
     }
 
+    //Opaque islands
+    //NOTE: returns true if the code point was consumed as a start of an island. Island lookup can be abrupted
+    //by hibernation, in that case we return true as well, since the lookup will be started over.
+    _enterOpaqueIslandIfMatch(cp, returnState) {
+        for (let i = 0; i < this.opaqueIslands.length; i++) {
+            const island = this.opaqueIslands[i];
+
+            if (island.open.codePointAt(0) === cp) {
+                if (this._consumeSequenceIfMatch(toCodePoints(island.open), cp, true)) {
+                    if (returnState === DATA_STATE) {
+                        this._createOpaqueIslandToken();
+                    }
+
+                    this.currentOpaqueIsland = island;
+                    this.opaqueIslandData = island.open;
+                    this.returnState = returnState;
+                    this.state = OPAQUE_ISLAND_STATE;
+
+                    return true;
+                }
+
+                if (this._ensureHibernation()) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    _leaveOpaqueIsland() {
+        const data = this.opaqueIslandData;
+
+        this.state = this.returnState;
+        this.currentOpaqueIsland = null;
+        this.opaqueIslandData = '';
+
+        if (this.returnState === DATA_STATE) {
+            this.currentToken.data = data;
+            this._emitCurrentToken();
+        } else if (this.returnState === ATTRIBUTE_NAME_STATE) {
+            this.currentAttr.name += data;
+        } else {
+            this._appendToCurrentAttrValue(data);
+        }
+    }
+
     //Token emission
     _emitCurrentToken() {
         this._emitCurrentCharacterToken();
@@ -507,20 +634,21 @@ class Tokenizer {
 
     // Character reference helpers
     _matchNamedCharacterReference(startCp) {
+        const tree = this.namedEntityTree;
         let result = null;
         let excess = 1;
-        let i = findNamedEntityTreeBranch(0, startCp);
+        let i = findNamedEntityTreeBranch(tree, 0, startCp);
 
         this.tempBuff.push(startCp);
 
         while (i > -1) {
-            const current = neTree[i];
-            const inNode = current < MAX_BRANCH_MARKER_VALUE;
+            const current = tree[i];
+            const inNode = current <= MAX_BRANCH_MARKER_VALUE;
             const nodeWithData = inNode && current & HAS_DATA_FLAG;
 
             if (nodeWithData) {
                 //NOTE: we use greedy search, so we continue lookup at this point
-                result = current & DATA_DUPLET_FLAG ? [neTree[++i], neTree[++i]] : [neTree[++i]];
+                result = current & DATA_DUPLET_FLAG ? [tree[++i], tree[++i]] : [tree[++i]];
                 excess = 0;
             }
 
@@ -534,7 +662,7 @@ class Tokenizer {
             }
 
             if (inNode) {
-                i = current & HAS_BRANCHES_FLAG ? findNamedEntityTreeBranch(i, cp) : -1;
+                i = current & HAS_BRANCHES_FLAG ? findNamedEntityTreeBranch(tree, i, cp) : -1;
             } else {
                 i = cp === current ? ++i : -1;
             }
@@ -571,7 +699,7 @@ class Tokenizer {
     _flushCodePointsConsumedAsCharacterReference() {
         if (this._isCharacterReferenceInAttribute()) {
             for (let i = 0; i < this.tempBuff.length; i++) {
-                this.currentAttr.value += toChar(this.tempBuff[i]);
+                this._appendToCurrentAttrValue(toChar(this.tempBuff[i]));
             }
         } else {
             this._emitSeveralCodePoints(this.tempBuff);
@@ -587,6 +715,10 @@ class Tokenizer {
     [DATA_STATE](cp) {
         this.preprocessor.dropParsedChunk();
 
+        if (this.opaqueIslands !== null && this._enterOpaqueIslandIfMatch(cp, DATA_STATE)) {
+            return;
+        }
+
         if (cp === $.LESS_THAN_SIGN) {
             this.state = TAG_OPEN_STATE;
         } else if (cp === $.AMPERSAND) {
@@ -769,7 +901,7 @@ class Tokenizer {
         if (isAsciiUpper(cp)) {
             this.currentToken.tagName += toAsciiLowerChar(cp);
             this.tempBuff.push(cp);
-        } else if (isAsciiLower(cp)) {
+        } else if (isAsciiLower(cp) || this._isLastStartTagNameContinuation(cp)) {
             this.currentToken.tagName += toChar(cp);
             this.tempBuff.push(cp);
         } else {
@@ -827,7 +959,7 @@ class Tokenizer {
         if (isAsciiUpper(cp)) {
             this.currentToken.tagName += toAsciiLowerChar(cp);
             this.tempBuff.push(cp);
-        } else if (isAsciiLower(cp)) {
+        } else if (isAsciiLower(cp) || this._isLastStartTagNameContinuation(cp)) {
             this.currentToken.tagName += toChar(cp);
             this.tempBuff.push(cp);
         } else {
@@ -888,7 +1020,7 @@ class Tokenizer {
         if (isAsciiUpper(cp)) {
             this.currentToken.tagName += toAsciiLowerChar(cp);
             this.tempBuff.push(cp);
-        } else if (isAsciiLower(cp)) {
+        } else if (isAsciiLower(cp) || this._isLastStartTagNameContinuation(cp)) {
             this.currentToken.tagName += toChar(cp);
             this.tempBuff.push(cp);
         } else {
@@ -1031,7 +1163,7 @@ class Tokenizer {
         if (isAsciiUpper(cp)) {
             this.currentToken.tagName += toAsciiLowerChar(cp);
             this.tempBuff.push(cp);
-        } else if (isAsciiLower(cp)) {
+        } else if (isAsciiLower(cp) || this._isLastStartTagNameContinuation(cp)) {
             this.currentToken.tagName += toChar(cp);
             this.tempBuff.push(cp);
         } else {
@@ -1198,6 +1330,10 @@ class Tokenizer {
     // Attribute name state
     //------------------------------------------------------------------
     [ATTRIBUTE_NAME_STATE](cp) {
+        if (this.opaqueIslands !== null && this._enterOpaqueIslandIfMatch(cp, ATTRIBUTE_NAME_STATE)) {
+            return;
+        }
+
         if (isWhitespace(cp) || cp === $.SOLIDUS || cp === $.GREATER_THAN_SIGN || cp === $.EOF) {
             this._leaveAttrName(AFTER_ATTRIBUTE_NAME_STATE);
             this._unconsume();
@@ -1262,6 +1398,10 @@ class Tokenizer {
     // Attribute value (double-quoted) state
     //------------------------------------------------------------------
     [ATTRIBUTE_VALUE_DOUBLE_QUOTED_STATE](cp) {
+        if (this.opaqueIslands !== null && this._enterOpaqueIslandIfMatch(cp, ATTRIBUTE_VALUE_DOUBLE_QUOTED_STATE)) {
+            return;
+        }
+
         if (cp === $.QUOTATION_MARK) {
             this.state = AFTER_ATTRIBUTE_VALUE_QUOTED_STATE;
         } else if (cp === $.AMPERSAND) {
@@ -1269,18 +1409,22 @@ class Tokenizer {
             this.state = CHARACTER_REFERENCE_STATE;
         } else if (cp === $.NULL) {
             this._err(ERR.unexpectedNullCharacter);
-            this.currentAttr.value += unicode.REPLACEMENT_CHARACTER;
+            this._appendToCurrentAttrValue(unicode.REPLACEMENT_CHARACTER);
         } else if (cp === $.EOF) {
             this._err(ERR.eofInTag);
             this._emitEOFToken();
         } else {
-            this.currentAttr.value += toChar(cp);
+            this._appendToCurrentAttrValue(toChar(cp));
         }
     }
 
     // Attribute value (single-quoted) state
     //------------------------------------------------------------------
     [ATTRIBUTE_VALUE_SINGLE_QUOTED_STATE](cp) {
+        if (this.opaqueIslands !== null && this._enterOpaqueIslandIfMatch(cp, ATTRIBUTE_VALUE_SINGLE_QUOTED_STATE)) {
+            return;
+        }
+
         if (cp === $.APOSTROPHE) {
             this.state = AFTER_ATTRIBUTE_VALUE_QUOTED_STATE;
         } else if (cp === $.AMPERSAND) {
@@ -1288,18 +1432,22 @@ class Tokenizer {
             this.state = CHARACTER_REFERENCE_STATE;
         } else if (cp === $.NULL) {
             this._err(ERR.unexpectedNullCharacter);
-            this.currentAttr.value += unicode.REPLACEMENT_CHARACTER;
+            this._appendToCurrentAttrValue(unicode.REPLACEMENT_CHARACTER);
         } else if (cp === $.EOF) {
             this._err(ERR.eofInTag);
             this._emitEOFToken();
         } else {
-            this.currentAttr.value += toChar(cp);
+            this._appendToCurrentAttrValue(toChar(cp));
         }
     }
 
     // Attribute value (unquoted) state
     //------------------------------------------------------------------
     [ATTRIBUTE_VALUE_UNQUOTED_STATE](cp) {
+        if (this.opaqueIslands !== null && this._enterOpaqueIslandIfMatch(cp, ATTRIBUTE_VALUE_UNQUOTED_STATE)) {
+            return;
+        }
+
         if (isWhitespace(cp)) {
             this._leaveAttrValue(BEFORE_ATTRIBUTE_NAME_STATE);
         } else if (cp === $.AMPERSAND) {
@@ -1310,7 +1458,7 @@ class Tokenizer {
             this._emitCurrentToken();
         } else if (cp === $.NULL) {
             this._err(ERR.unexpectedNullCharacter);
-            this.currentAttr.value += unicode.REPLACEMENT_CHARACTER;
+            this._appendToCurrentAttrValue(unicode.REPLACEMENT_CHARACTER);
         } else if (
             cp === $.QUOTATION_MARK ||
             cp === $.APOSTROPHE ||
@@ -1319,12 +1467,12 @@ class Tokenizer {
             cp === $.GRAVE_ACCENT
         ) {
             this._err(ERR.unexpectedCharacterInUnquotedAttributeValue);
-            this.currentAttr.value += toChar(cp);
+            this._appendToCurrentAttrValue(toChar(cp));
         } else if (cp === $.EOF) {
             this._err(ERR.eofInTag);
             this._emitEOFToken();
         } else {
-            this.currentAttr.value += toChar(cp);
+            this._appendToCurrentAttrValue(toChar(cp));
         }
     }
 
@@ -2007,7 +2155,11 @@ class Tokenizer {
     [CHARACTER_REFERENCE_STATE](cp) {
         this.tempBuff = [$.AMPERSAND];
 
-        if (cp === $.NUMBER_SIGN) {
+        //NOTE: if decoding is disabled, character references are emitted as is, just like a standalone ampersand
+        if (!this.decodeEntities) {
+            this._flushCodePointsConsumedAsCharacterReference();
+            this._reconsumeInState(this.returnState);
+        } else if (cp === $.NUMBER_SIGN) {
             this.tempBuff.push(cp);
             this.state = NUMERIC_CHARACTER_REFERENCE_STATE;
         } else if (isAsciiAlphaNumeric(cp)) {
@@ -2051,7 +2203,7 @@ class Tokenizer {
     [AMBIGUOUS_AMPERSAND_STATE](cp) {
         if (isAsciiAlphaNumeric(cp)) {
             if (this._isCharacterReferenceInAttribute()) {
-                this.currentAttr.value += toChar(cp);
+                this._appendToCurrentAttrValue(toChar(cp));
             } else {
                 this._emitCodePoint(cp);
             }
@@ -2160,6 +2312,28 @@ class Tokenizer {
         this._flushCodePointsConsumedAsCharacterReference();
         this._reconsumeInState(this.returnState);
     }
+
+    // Opaque island state
+    //------------------------------------------------------------------
+    [OPAQUE_ISLAND_STATE](cp) {
+        if (cp === $.EOF) {
+            this._err(ERR.eofInOpaqueIsland);
+            this._leaveOpaqueIsland();
+            this._unconsume();
+        } else {
+            const island = this.currentOpaqueIsland;
+
+            this.opaqueIslandData += toChar(cp);
+
+            //NOTE: the closing marker can't overlap with the opening one (e.g. `<%>` is not a complete island)
+            if (
+                this.opaqueIslandData.length >= island.open.length + island.close.length &&
+                this.opaqueIslandData.endsWith(island.close)
+            ) {
+                this._leaveOpaqueIsland();
+            }
+        }
+    }
 }
 
 //Token types
@@ -2170,6 +2344,7 @@ Tokenizer.START_TAG_TOKEN = 'START_TAG_TOKEN';
 Tokenizer.END_TAG_TOKEN = 'END_TAG_TOKEN';
 Tokenizer.COMMENT_TOKEN = 'COMMENT_TOKEN';
 Tokenizer.DOCTYPE_TOKEN = 'DOCTYPE_TOKEN';
+Tokenizer.OPAQUE_ISLAND_TOKEN = 'OPAQUE_ISLAND_TOKEN';
 Tokenizer.EOF_TOKEN = 'EOF_TOKEN';
 Tokenizer.HIBERNATION_TOKEN = 'HIBERNATION_TOKEN';
 
@@ -2182,6 +2357,9 @@ Tokenizer.MODE = {
     PLAINTEXT: PLAINTEXT_STATE
 };
 
+//C1 control character reference replacements
+Tokenizer.C1_CONTROLS_REFERENCE_REPLACEMENTS = C1_CONTROLS_REFERENCE_REPLACEMENTS;
+
 //Static
 Tokenizer.getTokenAttr = function(token, attrName) {
     for (let i = token.attrs.length - 1; i >= 0; i--) {
@@ -2193,4 +2371,50 @@ Tokenizer.getTokenAttr = function(token, attrName) {
     return null;
 };
 
+Tokenizer.restore = function(snapshot) {
+    const tokenizer = new Tokenizer();
+
+    tokenizer.preprocessor.restore(snapshot.preprocessor);
+    tokenizer.tokenQueue = copyData(snapshot.tokenQueue);
+    tokenizer.allowCDATA = snapshot.allowCDATA;
+    tokenizer.decodeEntities = snapshot.decodeEntities;
+
+    if (snapshot.namedEntityTree) {
+        tokenizer.namedEntityTree = new Uint16Array(snapshot.namedEntityTree);
+    }
+
+    tokenizer.opaqueIslands = copyData(snapshot.opaqueIslands);
+    tokenizer.state = snapshot.state;
+    tokenizer.returnState = snapshot.returnState;
+    tokenizer.charRefCode = snapshot.charRefCode;
+    tokenizer.tempBuff = snapshot.tempBuff.slice();
+    tokenizer.lastStartTagName = snapshot.lastStartTagName;
+    tokenizer.active = snapshot.active;
+    tokenizer.currentCharacterToken = copyData(snapshot.currentCharacterToken);
+    tokenizer.currentToken = copyData(snapshot.currentToken);
+    tokenizer.currentAttr =
+        snapshot.currentAttrIdx === -1
+            ? copyData(snapshot.currentAttr)
+            : tokenizer.currentToken.attrs[snapshot.currentAttrIdx];
+
+    if (snapshot.currentOpaqueIslandIdx !== -1) {
+        tokenizer.currentOpaqueIsland = tokenizer.opaqueIslands[snapshot.currentOpaqueIslandIdx];
+    }
+
+    tokenizer.opaqueIslandData = snapshot.opaqueIslandData;
+
+    if (snapshot.sourceCodeLocationInfo) {
+        //NOTE: the extension depends on the tokenizer, so it's required on demand
+        const LocationInfoTokenizerMixin = require('../extensions/location-info/tokenizer-mixin');
+        const locationInfo = copyData(snapshot.sourceCodeLocationInfo);
+        const mixin = Mixin.install(tokenizer, LocationInfoTokenizerMixin, {
+            positionEncoding: locationInfo.positionEncoding
+        });
+
+        mixin.restore(locationInfo);
+    }
+
+    return tokenizer;
+};
+
 module.exports = Tokenizer;
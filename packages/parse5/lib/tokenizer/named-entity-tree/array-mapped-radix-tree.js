@@ -1,6 +1,5 @@
 'use strict';
 
-const assert = require('assert');
 const Node = require('./tree-node');
 
 const HAS_DATA_FLAG = 1 << 0;
@@ -17,7 +16,9 @@ class ArrayMappedRadixTree {
         this._convertNode(radixTree);
 
         for (const n of this.arr) {
-            assert(n <= MAX_UINT16, `${n} overflows uint16`);
+            if (n > MAX_UINT16) {
+                throw new Error(`${n} overflows uint16`);
+            }
         }
 
         return this.arr;
@@ -25,7 +26,10 @@ class ArrayMappedRadixTree {
 
     _convertEdge(edge) {
         for (const cp of edge.filter) {
-            assert(cp > MAX_BRANCH_MARKER_VALUE, 'filter code point shadows node marker');
+            if (cp <= MAX_BRANCH_MARKER_VALUE) {
+                throw new Error('filter code point shadows node marker');
+            }
+
             this.arr.push(cp);
         }
 
@@ -0,0 +1,42 @@
+'use strict';
+
+const RadixTree = require('./radix-tree');
+const ArrayMappedRadixTree = require('./array-mapped-radix-tree');
+
+//NOTE: compilation is relatively expensive, so we compile each entity map only once
+const compiledTrees = new WeakMap();
+
+//NOTE: the tree stores the replacement as one or two UTF-16 code units
+function getReplacementCodeUnits(name, value) {
+    const str = typeof value === 'string' ? value : String.fromCodePoint.apply(null, value.codepoints);
+    const codeUnits = [];
+
+    for (let i = 0; i < str.length; i++) {
+        codeUnits.push(str.charCodeAt(i));
+    }
+
+    if (codeUnits.length < 1 || codeUnits.length > 2) {
+        throw new Error(`Replacement of the "${name}" named entity should consist of one or two UTF-16 code units`);
+    }
+
+    return codeUnits;
+}
+
+//NOTE: entities are specified either in the `name -> replacement string` form or in the format used by
+//https://html.spec.whatwg.org/multipage/entities.json (i.e. `name -> { codepoints }`). Leading `&` in the name is optional.
+module.exports = function compileNamedEntityTree(entities) {
+    let tree = compiledTrees.get(entities);
+
+    if (!tree) {
+        const src = Object.create(null);
+
+        for (const name of Object.keys(entities)) {
+            src[name] = { codepoints: getReplacementCodeUnits(name, entities[name]) };
+        }
+
+        tree = new Uint16Array(new ArrayMappedRadixTree(new RadixTree(src)));
+        compiledTrees.set(entities, tree);
+    }
+
+    return tree;
+};
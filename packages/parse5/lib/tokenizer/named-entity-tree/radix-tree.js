@@ -162,7 +162,9 @@ class RadixTree {
             data = RadixTree._decoupleSurrogatePair(data[0]);
         }
 
-        for (let i = 0, current = this.root; i < cps.length; i++) {
+        let current = this.root;
+
+        for (let i = 0; i < cps.length; i++) {
             const cp = cps[i];
 
             if (current instanceof Node) {
@@ -175,7 +177,7 @@ class RadixTree {
                 // NOTE: We can't iterate to next node, so we just create a new branch.
                 else {
                     RadixTree._appendNewDataBranch(current, cp, cps.slice(i + 1), data);
-                    break;
+                    return;
                 }
             } else {
                 const nextIdx = RadixTree._tryAddDataIntoEdge(current, cps, i, data);
@@ -185,10 +187,18 @@ class RadixTree {
                     i = nextIdx;
                     current = current.node;
                 } else {
-                    break;
+                    return;
                 }
             }
         }
+
+        // NOTE: The entity is a prefix of the previously added entity, so we've reached the end of the sequence
+        // either in the existing node or right before the edge. In the latter case, we split the edge.
+        if (current instanceof Node) {
+            current.data = data;
+        } else {
+            RadixTree._splitEdgeWithNewData(current, [], current.filter[0], current.filter.slice(1), data);
+        }
     }
 }
 
@@ -95,6 +95,29 @@ class Preprocessor {
         this.endOfChunkHit = false;
     }
 
+    snapshot() {
+        return {
+            html: this.html,
+            pos: this.pos,
+            lastGapPos: this.lastGapPos,
+            gapStack: this.gapStack.slice(),
+            skipNextNewLine: this.skipNextNewLine,
+            lastChunkWritten: this.lastChunkWritten,
+            endOfChunkHit: this.endOfChunkHit
+        };
+    }
+
+    restore(snapshot) {
+        this.html = snapshot.html;
+        this.pos = snapshot.pos;
+        this.lastGapPos = snapshot.lastGapPos;
+        this.lastCharPos = this.html === null ? -1 : this.html.length - 1;
+        this.gapStack = snapshot.gapStack.slice();
+        this.skipNextNewLine = snapshot.skipNextNewLine;
+        this.lastChunkWritten = snapshot.lastChunkWritten;
+        this.endOfChunkHit = snapshot.endOfChunkHit;
+    }
+
     advance() {
         this.pos++;
 
@@ -37,6 +37,14 @@ exports.createCommentNode = function(data) {
     };
 };
 
+exports.createOpaqueNode = function(data) {
+    return {
+        nodeName: '#opaque',
+        data: data,
+        parentNode: null
+    };
+};
+
 const createTextNode = function(value) {
     return {
         nodeName: '#text',
@@ -66,9 +74,14 @@ exports.getTemplateContent = function(templateElement) {
     return templateElement.content;
 };
 
-exports.setDocumentType = function(document, name, publicId, systemId) {
+exports.setDocumentType = function(document, name, publicId, systemId, hasPublicId, hasSystemId) {
     let doctypeNode = null;
 
+    //NOTE: presence of the identifiers is not specified by the callers that create document types
+    //from scratch, in that case only non-empty identifiers are considered present.
+    hasPublicId = typeof hasPublicId === 'boolean' ? hasPublicId : !!publicId;
+    hasSystemId = typeof hasSystemId === 'boolean' ? hasSystemId : !!systemId;
+
     for (let i = 0; i < document.childNodes.length; i++) {
         if (document.childNodes[i].nodeName === '#documentType') {
             doctypeNode = document.childNodes[i];
@@ -80,12 +93,16 @@ exports.setDocumentType = function(document, name, publicId, systemId) {
         doctypeNode.name = name;
         doctypeNode.publicId = publicId;
         doctypeNode.systemId = systemId;
+        doctypeNode.hasPublicId = hasPublicId;
+        doctypeNode.hasSystemId = hasSystemId;
     } else {
         appendChild(document, {
             nodeName: '#documentType',
             name: name,
             publicId: publicId,
-            systemId: systemId
+            systemId: systemId,
+            hasPublicId: hasPublicId,
+            hasSystemId: hasSystemId
         });
     }
 };
@@ -98,6 +115,19 @@ exports.getDocumentMode = function(document) {
     return document.mode;
 };
 
+exports.setDocumentEncoding = function(document, encoding, confidence) {
+    document.encoding = encoding;
+    document.encodingConfidence = confidence;
+};
+
+exports.getDocumentEncoding = function(document) {
+    return document.encoding;
+};
+
+exports.getDocumentEncodingConfidence = function(document) {
+    return document.encodingConfidence;
+};
+
 exports.detachNode = function(node) {
     if (node.parentNode) {
         const idx = node.parentNode.childNodes.indexOf(node);
@@ -178,6 +208,10 @@ exports.getCommentNodeContent = function(commentNode) {
     return commentNode.data;
 };
 
+exports.getOpaqueNodeContent = function(opaqueNode) {
+    return opaqueNode.data;
+};
+
 exports.getDocumentTypeNodeName = function(doctypeNode) {
     return doctypeNode.name;
 };
@@ -190,6 +224,14 @@ exports.getDocumentTypeNodeSystemId = function(doctypeNode) {
     return doctypeNode.systemId;
 };
 
+exports.hasDocumentTypeNodePublicId = function(doctypeNode) {
+    return doctypeNode.hasPublicId;
+};
+
+exports.hasDocumentTypeNodeSystemId = function(doctypeNode) {
+    return doctypeNode.hasSystemId;
+};
+
 //Node types
 exports.isTextNode = function(node) {
     return node.nodeName === '#text';
@@ -199,6 +241,10 @@ exports.isCommentNode = function(node) {
     return node.nodeName === '#comment';
 };
 
+exports.isOpaqueNode = function(node) {
+    return node.nodeName === '#opaque';
+};
+
 exports.isDocumentTypeNode = function(node) {
     return node.nodeName === '#documentType';
 };
@@ -215,3 +261,12 @@ exports.setNodeSourceCodeLocation = function(node, location) {
 exports.getNodeSourceCodeLocation = function(node) {
     return node.sourceCodeLocation;
 };
+
+// Raw source
+exports.setNodeRawSource = function(node, rawSource) {
+    node.rawSource = rawSource;
+};
+
+exports.getNodeRawSource = function(node) {
+    return node.rawSource;
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const Tokenizer = require('../tokenizer');
+
+//NOTE: the content of the element should end with its end tag, so the tokenizer can't be left in the DATA or
+//PLAINTEXT state
+const ALLOWED_MODES = [Tokenizer.MODE.RCDATA, Tokenizer.MODE.RAWTEXT, Tokenizer.MODE.SCRIPT_DATA];
+
+//NOTE: elements are specified in the `tag name -> tokenizer mode` form. Tag names are lower-cased, since
+//the tokenizer lower-cases tag names as well.
+module.exports = function createRawTextElementMap(elements) {
+    const map = Object.create(null);
+
+    if (elements) {
+        for (const tagName of Object.keys(elements)) {
+            const mode = elements[tagName];
+
+            if (ALLOWED_MODES.indexOf(mode) === -1) {
+                throw new Error(
+                    `Content of the "${tagName}" element should be tokenized in the RCDATA, RAWTEXT or SCRIPT_DATA mode`
+                );
+            }
+
+            map[tagName.toLowerCase()] = mode;
+        }
+    }
+
+    return map;
+};
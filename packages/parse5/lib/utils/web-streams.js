@@ -0,0 +1,107 @@
+'use strict';
+
+//NOTE: WHATWG streams are globals in browsers and recent versions of Node.js,
+//older versions of Node.js expose them only via the `stream/web` module.
+function getWebStreams() {
+    return global.ReadableStream && global.WritableStream ? global : require('stream/web');
+}
+
+function waitForFinish(stream) {
+    return new Promise((resolve, reject) => {
+        const onError = err => {
+            stream.removeListener('finish', onFinish);
+            reject(err);
+        };
+
+        const onFinish = () => {
+            stream.removeListener('error', onError);
+            resolve();
+        };
+
+        stream.once('finish', onFinish);
+        stream.once('error', onError);
+    });
+}
+
+exports.createReadableStream = function(stream) {
+    const { ReadableStream } = getWebStreams();
+
+    return new ReadableStream({
+        start: controller => {
+            stream.on('data', chunk => {
+                controller.enqueue(chunk);
+
+                //NOTE: respect backpressure of the WHATWG stream consumer
+                if (controller.desiredSize <= 0) {
+                    stream.pause();
+                }
+            });
+
+            stream.once('end', () => controller.close());
+            stream.once('error', err => controller.error(err));
+        },
+
+        pull: () => {
+            stream.resume();
+        },
+
+        cancel: reason => {
+            stream.destroy(reason);
+        }
+    });
+};
+
+exports.createWritableStream = function(stream) {
+    const { WritableStream } = getWebStreams();
+
+    return new WritableStream({
+        write: chunk =>
+            new Promise((resolve, reject) => {
+                stream.write(chunk, err => (err ? reject(err) : resolve()));
+            }),
+
+        close: () => {
+            const finished = waitForFinish(stream);
+
+            stream.end();
+
+            return finished;
+        },
+
+        abort: reason => {
+            stream.destroy(reason);
+        }
+    });
+};
+
+//NOTE: the next chunk is requested from the iterable only once the previous one was consumed by the stream,
+//so the backpressure is respected.
+exports.writeIterable = function(stream, iterable) {
+    const iterator = iterable[Symbol.asyncIterator] ? iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator]();
+
+    const writeNext = () =>
+        Promise.resolve(iterator.next()).then(({ done, value }) => {
+            if (done) {
+                const finished = waitForFinish(stream);
+
+                stream.end();
+
+                return finished;
+            }
+
+            return new Promise((resolve, reject) => {
+                stream.write(value, err => (err ? reject(err) : resolve()));
+            }).then(writeNext);
+        });
+
+    return writeNext().catch(err => {
+        //NOTE: let the iterable to release its resources (e.g. cancel the underlying WHATWG stream)
+        if (iterator.return) {
+            Promise.resolve()
+                .then(() => iterator.return())
+                .catch(() => {});
+        }
+
+        throw err;
+    });
+};
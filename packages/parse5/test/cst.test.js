@@ -0,0 +1,169 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const parse5 = require('../lib');
+const { generateTestsForEachTreeAdapter } = require('../../../test/utils/common');
+
+const dataDirPath = path.join(__dirname, '../../../test/data/location-info');
+
+const ROUND_TRIP_TEST_CASES = [
+    '<!DOCTYPE html>\n<html>\n<head><title>Hi</title></head>\n<body>\n<p>Hey</p>\n</body>\n</html>\n\n',
+    '<p>1<p>2<ul><li>3<li>4</ul>',
+    "<div id=foo   class = 'bar' hidden>&amp; &lt; &nbsp; &copy</div>",
+    '<p>line1\r\nline2\rline3</p>\r\n',
+    '<template><tr><td>1</td></tr></template>',
+    '<svg><path d="M0 0"/><circle /></svg><math><mi/></math>',
+    '<a>1<b>2</a>3</b>',
+    '<!-- comment --><P CLASS="x">Upper case</P><br/><img src=a.png >',
+    '<script>if (a < b) document.write("</p>")</script><textarea>&lt;b&gt;</textarea>'
+];
+
+function getChildNodes(treeAdapter, node, ...indices) {
+    return indices.reduce((parent, idx) => treeAdapter.getChildNodes(parent)[idx], node);
+}
+
+function roundTrip(html, treeAdapter) {
+    const opts = { treeAdapter, cst: true };
+
+    return parse5.serialize(parse5.parse(html, opts), opts);
+}
+
+generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
+    const opts = { treeAdapter, cst: true };
+
+    fs.readdirSync(dataDirPath).forEach(dirName => {
+        const html = fs.readFileSync(path.join(dataDirPath, dirName, 'data.html')).toString();
+
+        _test[`CST - Round trip - ${dirName}`] = function() {
+            assert.strictEqual(roundTrip(html, treeAdapter), html);
+        };
+    });
+
+    _test['CST - Round trip - tricky markup'] = function() {
+        ROUND_TRIP_TEST_CASES.forEach(html => {
+            assert.strictEqual(roundTrip(html, treeAdapter), html);
+        });
+    };
+
+    _test['CST - Round trip - fragment'] = function() {
+        ROUND_TRIP_TEST_CASES.forEach(html => {
+            const fragment = parse5.parseFragment(html, opts);
+
+            assert.strictEqual(parse5.serialize(fragment, opts), html);
+        });
+    };
+
+    _test['CST - Round trip - opaque islands'] = function() {
+        const html =
+            '<ul {{#if x}}hidden{{/if}}>\n{{#each items}}<li class = {{cls}}>{{ name }}</li>{{/each}}<% end %></ul>';
+        const islandOpts = {
+            treeAdapter,
+            cst: true,
+            opaqueIslands: [{ open: '{{', close: '}}' }, { open: '<%', close: '%>' }]
+        };
+
+        assert.strictEqual(parse5.serialize(parse5.parse(html, islandOpts), islandOpts), html);
+    };
+
+    _test['CST - Round trip - incremental parser'] = function() {
+        const html = ROUND_TRIP_TEST_CASES[0];
+        const parser = parse5.createIncrementalParser(opts);
+
+        parser.write(html.slice(0, 20));
+        parser.write(html.slice(20, 40));
+
+        const document = parser.end(html.slice(40));
+
+        assert.strictEqual(parse5.serialize(document, opts), html);
+    };
+
+    _test['CST - Content rearranged by the parser'] = function() {
+        //NOTE: the text is moved out of the table by the parser, so the markup can't be preserved as is,
+        //but the output is parsed into the same tree.
+        const html = '<table><tr><td>1</td></tr>text</table>';
+        const expected = parse5.serialize(parse5.parse(html, { treeAdapter }), { treeAdapter });
+        const actual = parse5.serialize(parse5.parse(roundTrip(html, treeAdapter), { treeAdapter }), { treeAdapter });
+
+        assert.strictEqual(actual, expected);
+    };
+
+    _test['CST - Raw source'] = function() {
+        const document = parse5.parse('<div  id=1>a&amp;b</DIV>\n', opts);
+        const div = getChildNodes(treeAdapter, document, 0, 1, 0);
+        const text = treeAdapter.getChildNodes(div)[0];
+        const divRawSource = treeAdapter.getNodeRawSource(div);
+        const textRawSource = treeAdapter.getNodeRawSource(text);
+
+        assert.strictEqual(divRawSource.startTag, '<div  id=1>');
+        assert.strictEqual(divRawSource.endTag, '</DIV>');
+        assert.strictEqual(divRawSource.after, '');
+        assert.strictEqual(textRawSource.html, 'a&amp;b');
+        assert.strictEqual(treeAdapter.getNodeRawSource(document).after, '');
+
+        //NOTE: implied elements have omitted tags
+        const html = getChildNodes(treeAdapter, document, 0);
+
+        assert.strictEqual(treeAdapter.getNodeRawSource(html).startTag, '');
+    };
+
+    _test['CST - Modified nodes'] = function() {
+        const document = parse5.parse('<ul class=list >\n  <LI>one\n  <li>two</li>\n  <li>a &amp; b</li>\n</ul>', opts);
+        const ul = getChildNodes(treeAdapter, document, 0, 1, 0);
+        const items = treeAdapter.getChildNodes(ul).filter(node => treeAdapter.isElementNode(node));
+
+        treeAdapter.adoptAttributes(ul, [{ name: 'id', value: 'x' }]);
+        treeAdapter.insertText(items[0], '& more');
+        treeAdapter.detachNode(items[1]);
+
+        const newItem = treeAdapter.createElement('li', treeAdapter.getNamespaceURI(ul), []);
+
+        treeAdapter.insertText(newItem, 'new');
+        treeAdapter.appendChild(ul, newItem);
+
+        assert.strictEqual(
+            parse5.serialize(document, opts),
+            '<ul class="list" id="x">\n  <LI>one\n  &amp; more\n  <li>a &amp; b</li>\n<li>new</li></ul>'
+        );
+    };
+
+    _test['CST - Renamed element'] = function() {
+        const document = parse5.parse('<ul><li>1</ul>', opts);
+        const li = getChildNodes(treeAdapter, document, 0, 1, 0, 0);
+
+        if (li.tagName !== void 0) {
+            li.tagName = 'p';
+        }
+
+        if (li.name !== void 0) {
+            li.name = 'p';
+        }
+
+        assert.strictEqual(parse5.serialize(document, opts), '<ul><p>1</p></ul>');
+    };
+
+    _test['CST - Self-closing foreign element with new children'] = function() {
+        const document = parse5.parse('<svg><g/></svg>', opts);
+        const g = getChildNodes(treeAdapter, document, 0, 1, 0, 0);
+
+        treeAdapter.insertText(g, 'text');
+
+        assert.strictEqual(parse5.serialize(document, opts), '<svg><g>text</g></svg>');
+    };
+
+    _test['CST - Option has no effect with formatting options'] = function() {
+        const document = parse5.parse('<DIV  id=1>Hi</DIV>', opts);
+
+        assert.strictEqual(parse5.serialize(document, { treeAdapter, cst: true, minify: true }), '<div id=1>Hi</div>');
+    };
+
+    _test['CST - Without raw source'] = function() {
+        const document = parse5.parse('<DIV  id=1>Hi</DIV>', { treeAdapter });
+
+        assert.strictEqual(
+            parse5.serialize(document, opts),
+            '<html><head></head><body><div id="1">Hi</div></body></html>'
+        );
+    };
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+const assert = require('assert');
+const parse5 = require('../lib');
+const encoding = require('../lib/common/encoding');
+const { generateTestsForEachTreeAdapter, treeAdapters } = require('../../../test/utils/common');
+
+function getBodyText(document, treeAdapter) {
+    const html = treeAdapter.getChildNodes(document)[0];
+    const body = treeAdapter.getChildNodes(html)[1];
+
+    return treeAdapter.getTextNodeContent(treeAdapter.getChildNodes(body)[0]);
+}
+
+exports['Prescan'] = function() {
+    const testCases = [
+        { html: '<meta charset="windows-1251">', expected: 'windows-1251' },
+        { html: "<META CHARSET='KOI8-R'>", expected: 'koi8-r' },
+        { html: '<meta charset=iso-8859-2>', expected: 'iso-8859-2' },
+        { html: '<meta charset=iso-8859-2/>', expected: null },
+        { html: '<meta http-equiv="Content-Type" content="text/html; charset=shift_jis">', expected: 'shift_jis' },
+        { html: '<meta content="text/html; charset=shift_jis" http-equiv="Content-Type">', expected: 'shift_jis' },
+        { html: '<meta content="text/html; charset=shift_jis">', expected: null },
+        { html: '<meta charset="utf-16le">', expected: 'utf-8' },
+        { html: '<meta charset="x-user-defined">', expected: 'windows-1252' },
+        { html: '<meta charset="unknown"><meta charset="koi8-r">', expected: 'koi8-r' },
+        { html: '<!-- <meta charset="koi8-r"> --><meta charset="gbk">', expected: 'gbk' },
+        { html: '<div title="<meta charset=koi8-r>"><meta charset="gbk">', expected: 'gbk' },
+        { html: '<metadata charset="koi8-r">', expected: null },
+        { html: '<meta charset="koi8-r', expected: null }
+    ];
+
+    testCases.forEach(({ html, expected }) => {
+        assert.strictEqual(encoding.prescan(Buffer.from(html)), expected, html);
+    });
+};
+
+exports['Meta element encoding'] = function() {
+    const testCases = [
+        { attrs: ['windows-1251', null, null], expected: 'windows-1251' },
+        { attrs: ['utf-16be', null, null], expected: 'utf-8' },
+        { attrs: ['bogus', null, null], expected: null },
+        { attrs: [null, 'Content-Type', 'text/html; charset=koi8-r'], expected: 'koi8-r' },
+        { attrs: [null, 'refresh', 'text/html; charset=koi8-r'], expected: null },
+        { attrs: ['bogus', 'content-type', 'text/html; charset=windows-1251'], expected: 'windows-1251' },
+        { attrs: ['gbk', 'content-type', 'text/html; charset=windows-1251'], expected: 'gbk' }
+    ];
+
+    testCases.forEach(({ attrs, expected }) => {
+        assert.strictEqual(encoding.getMetaElementEncoding.apply(null, attrs), expected, attrs.join());
+    });
+};
+
+exports['Tree adapter without the document encoding methods'] = function() {
+    const treeAdapter = Object.assign({}, treeAdapters.default);
+
+    delete treeAdapter.setDocumentEncoding;
+    delete treeAdapter.getDocumentEncoding;
+    delete treeAdapter.getDocumentEncodingConfidence;
+
+    const padding = Buffer.from('<title>' + ' '.repeat(encoding.PRESCAN_LENGTH) + '</title>');
+    const text = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+    const html = Buffer.concat([padding, Buffer.from('<meta charset="windows-1251">'), text]);
+    const document = parse5.parse(html, { treeAdapter });
+
+    assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+};
+
+exports['Prescan - only first 1024 bytes are examined'] = function() {
+    const padding = ' '.repeat(1024);
+
+    assert.strictEqual(encoding.prescan(Buffer.from(padding + '<meta charset="koi8-r">')), null);
+};
+
+generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
+    const opts = { treeAdapter };
+
+    _test['Byte input - BOM'] = function() {
+        const bom = Buffer.from([0xff, 0xfe]);
+        const html = Buffer.concat([bom, Buffer.from('<meta charset="koi8-r">Привет', 'utf16le')]);
+        const document = parse5.parse(html, opts);
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), 'utf-16le');
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.CERTAIN);
+    };
+
+    _test['Byte input - transport layer encoding'] = function() {
+        const html = Buffer.from('<meta charset="koi8-r">Привет');
+        const document = parse5.parse(html, { treeAdapter, transportEncoding: 'UTF-8' });
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), 'utf-8');
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.CERTAIN);
+    };
+
+    _test['Byte input - <meta> prescan'] = function() {
+        //NOTE: 'Привет' in windows-1251
+        const text = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+        const html = Buffer.concat([Buffer.from('<meta charset="windows-1251">'), text]);
+        const document = parse5.parse(html, { treeAdapter, transportEncoding: 'unknown-label' });
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), 'windows-1251');
+
+        //NOTE: the tree builder confirms the prescanned encoding once it reaches the <meta> element
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.CERTAIN);
+    };
+
+    _test['Byte input - default encoding'] = function() {
+        const document = parse5.parse(new Uint8Array([0x61, 0xe9]), opts);
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'aé');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), encoding.DEFAULT_ENCODING);
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.TENTATIVE);
+    };
+
+    _test['Byte input - change the encoding while parsing'] = function() {
+        //NOTE: place <meta> out of the prescan range
+        const padding = Buffer.from('<title>' + ' '.repeat(encoding.PRESCAN_LENGTH) + '</title>');
+        const text = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+        const html = Buffer.concat([padding, Buffer.from('<meta charset="windows-1251">'), text]);
+        const document = parse5.parse(html, opts);
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), 'windows-1251');
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.CERTAIN);
+    };
+
+    _test['Byte input - callbacks are not called for the abandoned pass'] = function() {
+        const padding = Buffer.from('<title>' + ' '.repeat(encoding.PRESCAN_LENGTH) + '</title>');
+        const text = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+        const html = Buffer.concat([padding, Buffer.from('<meta charset="windows-1251"><script></script>'), text]);
+        const errors = [];
+        let scriptCount = 0;
+
+        const document = parse5.parse(html, {
+            treeAdapter,
+            onParseError: err => errors.push(err.code),
+            onScript: () => scriptCount++
+        });
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+        assert.deepStrictEqual(errors, ['missing-doctype']);
+        assert.strictEqual(scriptCount, 1);
+    };
+
+    _test['Byte input - encoding is not changed after the script was executed'] = function() {
+        const padding = Buffer.from('<script></script>' + ' '.repeat(encoding.PRESCAN_LENGTH));
+        const html = Buffer.concat([padding, Buffer.from('<meta charset="windows-1251">'), Buffer.from([0x61, 0xe9])]);
+        const errors = [];
+        let scriptCount = 0;
+
+        const document = parse5.parse(html, {
+            treeAdapter,
+            onParseError: err => errors.push(err.code),
+            onScript: () => scriptCount++
+        });
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'aé');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), encoding.DEFAULT_ENCODING);
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.CERTAIN);
+        assert.deepStrictEqual(errors, ['missing-doctype']);
+        assert.strictEqual(scriptCount, 1);
+    };
+
+    _test['Byte input - late <meta> with the unknown charset label'] = function() {
+        const padding = Buffer.from('<title>' + ' '.repeat(encoding.PRESCAN_LENGTH) + '</title>');
+        const meta = '<meta charset="bogus" http-equiv="content-type" content="text/html; charset=windows-1251">';
+        const text = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+        const document = parse5.parse(Buffer.concat([padding, Buffer.from(meta), text]), opts);
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), 'windows-1251');
+    };
+
+    _test['Byte input - late <meta> with the same encoding'] = function() {
+        const html = Buffer.from(' '.repeat(encoding.PRESCAN_LENGTH) + '<meta charset="windows-1252">a');
+        const document = parse5.parse(html, opts);
+
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), 'windows-1252');
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.CERTAIN);
+    };
+
+    _test['Byte input - late <meta> is ignored if encoding is certain'] = function() {
+        const html = Buffer.from(' '.repeat(encoding.PRESCAN_LENGTH) + '<meta charset="windows-1251">Привет');
+        const document = parse5.parse(html, { treeAdapter, transportEncoding: 'utf-8' });
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'Привет');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), 'utf-8');
+    };
+
+    _test['Byte input - incremental parser continues with the current encoding on late <meta>'] = function() {
+        const parser = parse5.createIncrementalParser(opts);
+        const padding = Buffer.from('<title>' + ' '.repeat(encoding.PRESCAN_LENGTH) + '</title>');
+
+        parser.write(padding);
+        parser.write(Buffer.from('<meta charset="windows-1251">'));
+
+        //NOTE: 'aé' in windows-1252
+        const document = parser.end(Buffer.from([0x61, 0xe9]));
+
+        assert.strictEqual(getBodyText(document, treeAdapter), 'aé');
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), encoding.DEFAULT_ENCODING);
+        assert.strictEqual(treeAdapter.getDocumentEncodingConfidence(document), encoding.CONFIDENCE.CERTAIN);
+    };
+
+    _test['String input - encoding is not set'] = function() {
+        const document = parse5.parse('<meta charset="koi8-r">', opts);
+
+        assert.strictEqual(treeAdapter.getDocumentEncoding(document), void 0);
+    };
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const assert = require('assert');
+const parse5 = require('../lib');
+const { generateTestsForEachTreeAdapter } = require('../../../test/utils/common');
+
+function findElement(node, tagName, treeAdapter) {
+    const children = treeAdapter.getChildNodes(node) || [];
+
+    for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+
+        if (treeAdapter.isElementNode(child) && treeAdapter.getTagName(child) === tagName) {
+            return child;
+        }
+
+        const found = findElement(child, tagName, treeAdapter);
+
+        if (found) {
+            return found;
+        }
+    }
+
+    return null;
+}
+
+generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
+    const opts = { treeAdapter };
+
+    _test['setInnerHTML'] = function() {
+        const document = parse5.parse('<div><p>Hey</p></div>', opts);
+        const div = findElement(document, 'div', treeAdapter);
+
+        parse5.setInnerHTML(div, '<span>ya</span>text', opts);
+
+        assert.strictEqual(parse5.serialize(div, opts), '<span>ya</span>text');
+    };
+
+    _test['setInnerHTML - context'] = function() {
+        const document = parse5.parse('<table><tr></tr></table><svg></svg><form><div></div></form>', opts);
+        const tr = findElement(document, 'tr', treeAdapter);
+        const svg = findElement(document, 'svg', treeAdapter);
+        const div = findElement(document, 'div', treeAdapter);
+
+        parse5.setInnerHTML(tr, '<td>1', opts);
+        parse5.setInnerHTML(svg, '<foreignobject/>', opts);
+        parse5.setInnerHTML(div, '<form><input></form>', opts);
+
+        assert.strictEqual(parse5.serialize(tr, opts), '<td>1</td>');
+        assert.strictEqual(parse5.serialize(svg, opts), '<foreignObject></foreignObject>');
+
+        //NOTE: nested forms are ignored
+        assert.strictEqual(parse5.serialize(div, opts), '<input>');
+    };
+
+    _test['setInnerHTML - template'] = function() {
+        const document = parse5.parse('<template><p></p></template>', opts);
+        const template = findElement(document, 'template', treeAdapter);
+
+        parse5.setInnerHTML(template, '<tr><td>1</td></tr>', opts);
+
+        assert.strictEqual(parse5.serialize(treeAdapter.getTemplateContent(template), opts), '<tr><td>1</td></tr>');
+    };
+
+    _test['setOuterHTML'] = function() {
+        const document = parse5.parse('<div><p>Hey</p><b></b></div>', opts);
+        const div = findElement(document, 'div', treeAdapter);
+        const p = findElement(div, 'p', treeAdapter);
+
+        parse5.setOuterHTML(p, '<span>ya</span>text', opts);
+
+        assert.strictEqual(parse5.serialize(div, opts), '<span>ya</span>text<b></b>');
+    };
+
+    _test['setOuterHTML - document fragment'] = function() {
+        const fragment = parse5.parseFragment('<p>Hey</p>', opts);
+        const p = findElement(fragment, 'p', treeAdapter);
+
+        parse5.setOuterHTML(p, '<tr><td>1</td></tr><i></i>', opts);
+
+        //NOTE: children of the fragment are parsed in the <body> context
+        assert.strictEqual(parse5.serialize(fragment, opts), '1<i></i>');
+    };
+
+    _test['setOuterHTML - root element'] = function() {
+        const document = parse5.parse('<div></div>', opts);
+        const html = findElement(document, 'html', treeAdapter);
+
+        assert.throws(() => parse5.setOuterHTML(html, '<p></p>', opts));
+    };
+
+    _test['Location info'] = function() {
+        const locOpts = { treeAdapter, sourceCodeLocationInfo: true };
+        const document = parse5.parse('<html><body>\n  <div id="a">x</div><div id="b">y</div>', locOpts);
+        const [divA, divB] = treeAdapter.getChildNodes(findElement(document, 'body', treeAdapter)).slice(1);
+
+        parse5.setInnerHTML(divA, '<b title="1">z</b>', locOpts);
+        parse5.setOuterHTML(divB, '<i>w</i>', locOpts);
+
+        const bLoc = treeAdapter.getNodeSourceCodeLocation(treeAdapter.getChildNodes(divA)[0]);
+        const iLoc = treeAdapter.getNodeSourceCodeLocation(findElement(document, 'i', treeAdapter));
+
+        assert.deepEqual([bLoc.startLine, bLoc.startCol, bLoc.startOffset], [2, 15, 27]);
+        assert.deepEqual([bLoc.attrs.title.startCol, bLoc.attrs.title.startOffset], [18, 30]);
+        assert.deepEqual([iLoc.startLine, iLoc.startCol, iLoc.startOffset], [2, 22, 34]);
+        assert.deepEqual([iLoc.endTag.endLine, iLoc.endTag.endCol, iLoc.endTag.endOffset], [2, 30, 42]);
+    };
+});
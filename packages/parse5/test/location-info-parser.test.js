@@ -126,4 +126,34 @@ generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
 
         assert.ok(!location.endTag);
     };
+    _test['Location info - position encoding'] = function() {
+        const html = '<p title="😀">é\r\n<b>€</b></p>';
+        const opts = {
+            treeAdapter: treeAdapter,
+            sourceCodeLocationInfo: true,
+            positionEncoding: 'utf-8'
+        };
+
+        const fragment = parse5.parseFragment(html, opts);
+        const p = treeAdapter.getChildNodes(fragment)[0];
+        const b = treeAdapter.getChildNodes(p)[1];
+        const pLocation = treeAdapter.getNodeSourceCodeLocation(p);
+        const bLocation = treeAdapter.getNodeSourceCodeLocation(b);
+
+        assert.strictEqual(pLocation.attrs.title.endOffset, 15);
+        assert.strictEqual(pLocation.startTag.endOffset, 16);
+        assert.strictEqual(pLocation.endOffset, Buffer.byteLength(html));
+        assert.strictEqual(bLocation.startLine, 2);
+        assert.strictEqual(bLocation.startCol, 1);
+        assert.strictEqual(bLocation.startOffset, 20);
+        assert.strictEqual(bLocation.endCol, 11);
+        assert.strictEqual(bLocation.endOffset, 30);
+    };
+
+    _test['Location info - position encoding is not supported by CST'] = function() {
+        assert.throws(
+            () => parse5.parse('<p>', { treeAdapter: treeAdapter, cst: true, positionEncoding: 'codepoint' }),
+            /^Error: The cst option requires the "utf-16" position encoding$/
+        );
+    };
 });
@@ -121,3 +121,111 @@ exports['Location info (Tokenizer)'] = function() {
         }
     });
 };
+
+exports['Location info (Tokenizer) - position encoding'] = function() {
+    const html = 'a😀é<b title="ü😀">\r\nx€\r\ry\n<!-- 😀 --><p>\u{10348}z</p>\ud800é<i>';
+    const encodings = {
+        'utf-16': str => str.length,
+        'utf-8': str => Buffer.byteLength(str),
+        codepoint: str => Array.from(str).length
+    };
+
+    const getTokenLocations = (positionEncoding, chunkSize) => {
+        const tokenizer = new Tokenizer();
+        const locations = [];
+        let pos = 0;
+
+        Mixin.install(tokenizer, LocationInfoTokenizerMixin, { positionEncoding });
+
+        // NOTE: set small waterline for testing purposes
+        tokenizer.preprocessor.bufferWaterline = 4;
+
+        const writeChunk = () => {
+            pos += chunkSize;
+            tokenizer.write(html.slice(pos - chunkSize, pos), pos >= html.length);
+        };
+
+        writeChunk();
+
+        for (let token = tokenizer.getNextToken(); token.type !== Tokenizer.EOF_TOKEN; ) {
+            if (token.type === Tokenizer.HIBERNATION_TOKEN) {
+                writeChunk();
+            } else {
+                const { startLine, startCol, startOffset, endLine, endCol, endOffset } = token.location;
+
+                locations.push({ startLine, startCol, startOffset, endLine, endCol, endOffset });
+            }
+
+            token = tokenizer.getNextToken();
+        }
+
+        return locations;
+    };
+
+    const expectedLocations = getTokenLocations('utf-16', html.length);
+
+    //NOTE: chunks split the surrogate pairs and CRLF
+    [html.length, 1, 3].forEach(chunkSize => {
+        Object.keys(encodings).forEach(encoding => {
+            const getLength = encodings[encoding];
+            const toEncoding = (offset, col) => [
+                getLength(html.slice(0, offset)),
+                getLength(html.slice(offset - col + 1, offset)) + 1
+            ];
+
+            const actualLocations = getTokenLocations(encoding, chunkSize);
+
+            assert.strictEqual(actualLocations.length, expectedLocations.length);
+
+            expectedLocations.forEach((expected, i) => {
+                const [startOffset, startCol] = toEncoding(expected.startOffset, expected.startCol);
+                const [endOffset, endCol] = toEncoding(expected.endOffset, expected.endCol);
+
+                assert.deepStrictEqual(actualLocations[i], {
+                    startLine: expected.startLine,
+                    startCol,
+                    startOffset,
+                    endLine: expected.endLine,
+                    endCol,
+                    endOffset
+                });
+            });
+        });
+    });
+};
+
+exports['Location info (Tokenizer) - unknown position encoding'] = function() {
+    assert.throws(
+        () => Mixin.install(new Tokenizer(), LocationInfoTokenizerMixin, { positionEncoding: 'utf-32' }),
+        /^Error: Unknown position encoding: "utf-32"$/
+    );
+};
+
+exports['Location info (Tokenizer) - surrogate pair at the start of the dropped chunk'] = function() {
+    const getTokenLocations = (html, bufferWaterline) => {
+        const tokenizer = new Tokenizer();
+        const locations = [];
+
+        Mixin.install(tokenizer, LocationInfoTokenizerMixin);
+
+        tokenizer.preprocessor.bufferWaterline = bufferWaterline;
+        tokenizer.write(html, true);
+
+        for (
+            let token = tokenizer.getNextToken();
+            token.type !== Tokenizer.EOF_TOKEN;
+            token = tokenizer.getNextToken()
+        ) {
+            locations.push(token.location);
+        }
+
+        return locations;
+    };
+
+    //NOTE: the parsed chunk is dropped at various positions, including the low surrogate of the pair
+    for (let i = 0; i < 8; i++) {
+        const html = 'a'.repeat(i) + '\n😀\n';
+
+        assert.deepStrictEqual(getTokenLocations(html, 4), getTokenLocations(html, Infinity), html);
+    }
+};
@@ -1,10 +1,12 @@
 'use strict';
 
 const assert = require('assert');
+const path = require('path');
 const parse5 = require('../lib');
 const Parser = require('../lib/parser');
 const generateParsingTests = require('../../../test/utils/generate-parsing-tests');
-const { treeAdapters } = require('../../../test/utils/common');
+const HTML = require('../lib/common/html');
+const { treeAdapters, makeChunks, generateTestsForEachTreeAdapter } = require('../../../test/utils/common');
 
 generateParsingTests(exports, 'Parser', { skipFragments: false }, (test, opts) => ({
     node: test.fragmentContext
@@ -12,6 +14,95 @@ generateParsingTests(exports, 'Parser', { skipFragments: false }, (test, opts) =
         : parse5.parse(test.input, opts)
 }));
 
+generateParsingTests(exports, 'Parser - incremental', { skipFragments: true }, (test, opts) => {
+    const parser = parse5.createIncrementalParser(opts);
+    const chunks = makeChunks(test.input);
+
+    for (let i = 0; i < chunks.length - 1; i++) {
+        parser.write(chunks[i]);
+    }
+
+    return {
+        node: parser.end(chunks[chunks.length - 1]),
+        chunks: chunks
+    };
+});
+
+generateParsingTests(
+    exports,
+    'Parser - Scripting',
+    {
+        skipFragments: true,
+        withoutErrors: true,
+        testSuite: [path.join(__dirname, '../../../test/data/tree-construction-scripting')]
+    },
+    (test, opts) => {
+        //NOTE: used by the evaluated script
+        const document = {};
+
+        opts.onScript = (scriptElement, documentWrite) => {
+            const scriptTextNode = opts.treeAdapter.getChildNodes(scriptElement)[0];
+            const script = scriptTextNode && opts.treeAdapter.getTextNodeContent(scriptTextNode);
+
+            document.write = documentWrite;
+
+            /* eslint-disable no-eval */
+            eval(script);
+            /* eslint-enable no-eval */
+        };
+
+        return { node: parse5.parse(test.input, opts) };
+    }
+);
+
+exports['Scripting - onScript'] = function() {
+    const scripts = [];
+    const document = parse5.parse('<div><script>a</script>b<script>c</script></div>', {
+        onScript: (scriptElement, documentWrite) => {
+            const text = scriptElement.childNodes[0].value;
+
+            scripts.push(text);
+
+            if (text === 'a') {
+                documentWrite('<p>1');
+                documentWrite('2</p><script>d</script>');
+            }
+        }
+    });
+
+    assert.deepEqual(scripts, ['a', 'd', 'c']);
+    assert.strictEqual(
+        parse5.serialize(document),
+        '<html><head></head><body><div><script>a</script><p>12</p><script>d</script>b<script>c</script></div></body></html>'
+    );
+};
+
+exports['Incremental parsing'] = function() {
+    const parser = parse5.createIncrementalParser();
+    const document = parser.write('<div>Hey');
+    const body = document.childNodes[0].childNodes[1];
+
+    assert.strictEqual(body.childNodes[0].tagName, 'div');
+    assert.strictEqual(parser.write(' ya'), document);
+    assert.strictEqual(parser.end('</div><p>'), document);
+    assert.strictEqual(body.childNodes[0].childNodes[0].value, 'Hey ya');
+    assert.strictEqual(body.childNodes[1].tagName, 'p');
+    assert.throws(() => parser.write('<p>'), /Parser was already ended/);
+};
+
+exports['Incremental parsing - binary input'] = function() {
+    const parser = parse5.createIncrementalParser({ transportEncoding: 'utf-8' });
+    const bytes = Buffer.from('Привет');
+
+    for (let i = 0; i < bytes.length; i++) {
+        parser.write(bytes.slice(i, i + 1));
+    }
+
+    const document = parser.end();
+
+    assert.strictEqual(document.childNodes[0].childNodes[1].childNodes[0].value, 'Привет');
+};
+
 exports['Regression - HTML5 Legacy Doctype Misparsed with htmlparser2 tree adapter (GH-45)'] = function() {
     const html = '<!DOCTYPE html SYSTEM "about:legacy-compat"><html><head></head><body>Hi there!</body></html>';
     const document = parse5.parse(html, { treeAdapter: treeAdapters.htmlparser2 });
@@ -89,3 +180,133 @@ exports['Regression - DOCTYPE empty fields (GH-236)'] = function() {
     assert.strictEqual(doctype.publicId, '');
     assert.strictEqual(doctype.systemId, '');
 };
+
+exports['Parser - namedEntities'] = function() {
+    const namedEntities = { 'smile;': '\u263a', dagger: '\u2020' };
+    const fragment = parse5.parseFragment('<p title="&smile;">&smile; &amp; &dagger</p>', { namedEntities });
+
+    assert.strictEqual(parse5.serialize(fragment), '<p title="\u263a">\u263a &amp;amp; \u2020</p>');
+};
+
+exports['Parser - rawTextElements'] = function() {
+    const rawTextElements = { 'x-markdown': parse5.Tokenizer.MODE.RAWTEXT, 'Code-Block': parse5.Tokenizer.MODE.RCDATA };
+    const html = '<p><x-markdown>*<b>a</b>* &amp;</x-markdown><code-block><b>&lt;</b></CODE-BLOCK>text</p>';
+    const p = parse5.parseFragment(html, { rawTextElements }).childNodes[0];
+
+    assert.strictEqual(p.childNodes[0].childNodes[0].value, '*<b>a</b>* &amp;');
+    assert.strictEqual(p.childNodes[1].childNodes[0].value, '<b><</b>');
+    assert.strictEqual(p.childNodes[2].value, 'text');
+
+    const fragment = parse5.parseFragment({ tagName: 'x-markdown' }, '<b>a</b>', { rawTextElements });
+
+    assert.strictEqual(fragment.childNodes[0].value, '<b>a</b>');
+
+    assert.throws(
+        () => parse5.parse('', { rawTextElements: { 'x-text': parse5.Tokenizer.MODE.PLAINTEXT } }),
+        /"x-text"/
+    );
+};
+
+exports['Parser - onParseError - tokenizer error recovery'] = function() {
+    const html = '<!DOCTYPE html><p>a</ b>c</p>';
+    const errors = [];
+
+    parse5.parse(html, { onParseError: err => errors.push(err) });
+
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, 'invalid-first-character-of-tag-name');
+    assert.strictEqual(errors[0].recovery.includes('bogus comment'), true);
+    assert.strictEqual(html.substring(errors[0].tokenLocation.startOffset, errors[0].tokenLocation.endOffset), '</ b>');
+};
+
+generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
+    const serialize = fragment => parse5.serialize(fragment, { treeAdapter });
+
+    _test['Fragment context descriptor'] = function() {
+        const opts = { treeAdapter };
+
+        assert.strictEqual(serialize(parse5.parseFragment({ tagName: 'tr' }, '<td>1', opts)), '<td>1</td>');
+        assert.strictEqual(serialize(parse5.parseFragment({ tagName: 'title' }, '<b>1', opts)), '&lt;b&gt;1');
+
+        const svgFragment = parse5.parseFragment({ tagName: 'svg', namespace: 'svg' }, '<foreignobject/>', opts);
+
+        assert.strictEqual(treeAdapter.getTagName(treeAdapter.getChildNodes(svgFragment)[0]), 'foreignObject');
+
+        const mathFragment = parse5.parseFragment(
+            { tagName: 'math', namespace: 'http://www.w3.org/1998/Math/MathML' },
+            '<mi/>',
+            opts
+        );
+
+        assert.strictEqual(
+            treeAdapter.getNamespaceURI(treeAdapter.getChildNodes(mathFragment)[0]),
+            HTML.NAMESPACES.MATHML
+        );
+    };
+
+    _test['Fragment context descriptor - attributes'] = function() {
+        const context = {
+            tagName: 'annotation-xml',
+            namespace: 'math',
+            attrs: [{ name: 'encoding', value: 'text/html' }]
+        };
+        const fragment = parse5.parseFragment(context, '<div></div>', { treeAdapter });
+        const div = treeAdapter.getChildNodes(fragment)[0];
+
+        //NOTE: annotation-xml with the text/html encoding is an HTML integration point
+        assert.strictEqual(treeAdapter.getNamespaceURI(div), HTML.NAMESPACES.HTML);
+    };
+
+    _test['Parser - opaqueIslands'] = function() {
+        const opts = { treeAdapter, opaqueIslands: [{ open: '{{', close: '}}' }] };
+        const html = '<table>{{#each rows}}<tr><td title={{title}}>{{</td>}}</td></tr>{{/each}}</table>';
+        const fragment = parse5.parseFragment(html, opts);
+        const table = treeAdapter.getChildNodes(fragment)[0];
+        const tableChildNodes = treeAdapter.getChildNodes(table);
+        const tbodyChildNodes = treeAdapter.getChildNodes(tableChildNodes[1]);
+        const td = treeAdapter.getChildNodes(tbodyChildNodes[0])[0];
+        const island = treeAdapter.getChildNodes(td)[0];
+
+        //NOTE: islands are not foster parented and their content is not interpreted as markup
+        assert.strictEqual(tableChildNodes.length, 2);
+        assert.ok(treeAdapter.isOpaqueNode(tableChildNodes[0]));
+        assert.strictEqual(treeAdapter.getOpaqueNodeContent(tableChildNodes[0]), '{{#each rows}}');
+        assert.strictEqual(treeAdapter.getOpaqueNodeContent(tbodyChildNodes[1]), '{{/each}}');
+        assert.ok(treeAdapter.isOpaqueNode(island));
+        assert.ok(!treeAdapter.isCommentNode(island));
+        assert.strictEqual(treeAdapter.getOpaqueNodeContent(island), '{{</td>}}');
+        assert.strictEqual(treeAdapter.getAttrList(td)[0].value, '{{title}}');
+
+        assert.strictEqual(
+            serialize(fragment),
+            '<table>{{#each rows}}<tbody><tr><td title="{{title}}">{{</td>}}</td></tr>{{/each}}</tbody></table>'
+        );
+    };
+
+    _test['Fragment context element without child nodes'] = function() {
+        //NOTE: the tree adapter may return no list for the element without children
+        const adapter = Object.assign({}, treeAdapter, {
+            getChildNodes: node => {
+                const childNodes = treeAdapter.getChildNodes(node);
+
+                return childNodes && childNodes.length ? childNodes : null;
+            }
+        });
+        const svg = treeAdapter.createElement('svg', HTML.NAMESPACES.SVG, []);
+        const fragment = parse5.parseFragment(svg, '<foreignobject/>', { treeAdapter: adapter });
+        const element = treeAdapter.getChildNodes(fragment)[0];
+
+        assert.strictEqual(treeAdapter.getTagName(element), 'foreignObject');
+        assert.strictEqual(treeAdapter.getNamespaceURI(element), HTML.NAMESPACES.SVG);
+    };
+
+    _test['Fragment context descriptor - ancestors'] = function() {
+        const withoutForm = parse5.parseFragment({ tagName: 'div' }, '<form></form>', { treeAdapter });
+        const withForm = parse5.parseFragment({ tagName: 'div', parent: { tagName: 'form' } }, '<form></form>', {
+            treeAdapter
+        });
+
+        assert.strictEqual(serialize(withoutForm), '<form></form>');
+        assert.strictEqual(serialize(withForm), '');
+    };
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const assert = require('assert');
+const parse5 = require('../lib');
+const ResourceLimitError = require('../lib/extensions/resource-limits/resource-limit-error');
+const { generateTestsForEachTreeAdapter } = require('../../../test/utils/common');
+
+function parseBody(html, treeAdapter, options) {
+    const document = parse5.parse(html, Object.assign({ treeAdapter, resourceLimitPolicy: 'truncate' }, options));
+    const htmlElement = treeAdapter.getChildNodes(document)[0];
+
+    return treeAdapter.getChildNodes(htmlElement)[1];
+}
+
+function assertLimitError(html, options, limitName) {
+    assert.throws(
+        () => parse5.parse(html, options),
+        err => err instanceof ResourceLimitError && err.limitName === limitName && err.limit === options[limitName]
+    );
+}
+
+exports['Throw policy'] = function() {
+    assertLimitError('<div><div><div></div></div></div>', { maxTreeDepth: 4 }, 'maxTreeDepth');
+    assertLimitError('<!-- a --><!-- b --><p>', { maxNodes: 4 }, 'maxNodes');
+    assertLimitError('<div a b c></div>', { maxAttributesPerElement: 2 }, 'maxAttributesPerElement');
+    assertLimitError('<div title="abcd"></div>', { maxAttributeValueLength: 3 }, 'maxAttributeValueLength');
+    assertLimitError('<div>abcd</div>', { maxTextLength: 3 }, 'maxTextLength');
+};
+
+exports['Throw policy - attribute value is checked before it is buffered'] = function() {
+    const parser = parse5.createIncrementalParser({ maxAttributeValueLength: 3 });
+
+    assert.throws(
+        () => parser.write('<div title="abcd'),
+        err => err instanceof ResourceLimitError && err.limitName === 'maxAttributeValueLength'
+    );
+};
+
+exports['Throw policy - merged text'] = function() {
+    assertLimitError('<p>abc</span>def</p>', { maxTextLength: 5 }, 'maxTextLength');
+};
+
+exports['Throw policy - limits are not exceeded'] = function() {
+    const options = {
+        maxTreeDepth: 3,
+        maxNodes: 4,
+        maxAttributesPerElement: 2,
+        maxAttributeValueLength: 3,
+        maxTextLength: 3
+    };
+
+    assert.doesNotThrow(() => parse5.parse('<div a="abc" b="a">abc</div>', options));
+};
+
+generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
+    _test['Truncate policy - maxTreeDepth'] = function() {
+        const body = parseBody('<div><div><span>a</span></div><p>b</p></div>', treeAdapter, { maxTreeDepth: 4 });
+        const div = treeAdapter.getChildNodes(body)[0];
+        const innerDiv = treeAdapter.getChildNodes(div)[0];
+
+        //NOTE: parsing stops once the limit is exceeded
+        assert.strictEqual(treeAdapter.getChildNodes(div).length, 1);
+        assert.strictEqual(treeAdapter.getChildNodes(innerDiv).length, 0);
+    };
+
+    _test['Truncate policy - maxNodes'] = function() {
+        const body = parseBody('<p>a</p><!-- b --><p>c</p>', treeAdapter, { maxNodes: 5 });
+        const children = treeAdapter.getChildNodes(body);
+
+        assert.strictEqual(children.length, 2);
+        assert.ok(treeAdapter.isCommentNode(children[1]));
+    };
+
+    _test['Truncate policy - maxAttributesPerElement'] = function() {
+        const body = parseBody('<div a b a c d></div>', treeAdapter, { maxAttributesPerElement: 2 });
+        const attrs = treeAdapter.getAttrList(treeAdapter.getChildNodes(body)[0]);
+
+        assert.deepEqual(attrs.map(attr => attr.name), ['a', 'b']);
+    };
+
+    _test['Truncate policy - maxAttributeValueLength'] = function() {
+        const body = parseBody('<div a="abcd" b=abc c=\'a&amp;bc\'></div>', treeAdapter, {
+            maxAttributeValueLength: 3
+        });
+        const attrs = treeAdapter.getAttrList(treeAdapter.getChildNodes(body)[0]);
+
+        assert.deepEqual(attrs.map(attr => attr.value), ['abc', 'abc', 'a&b']);
+    };
+
+    _test['Truncate policy - maxTextLength'] = function() {
+        const body = parseBody('<p>abc\n\ndef</p><p>&lt;&gt;</p>', treeAdapter, { maxTextLength: 4 });
+        const [p1, p2] = treeAdapter.getChildNodes(body);
+
+        assert.strictEqual(treeAdapter.getTextNodeContent(treeAdapter.getChildNodes(p1)[0]), 'abc\n');
+        assert.strictEqual(treeAdapter.getTextNodeContent(treeAdapter.getChildNodes(p2)[0]), '<>');
+    };
+
+    _test['Truncate policy - maxTextLength - merged text'] = function() {
+        const body = parseBody('<p>abc</span>def</p><table>ab<tr>cd</table>', treeAdapter, { maxTextLength: 4 });
+        const [p, fosterParentedText] = treeAdapter.getChildNodes(body);
+
+        assert.strictEqual(treeAdapter.getChildNodes(p).length, 1);
+        assert.strictEqual(treeAdapter.getTextNodeContent(treeAdapter.getChildNodes(p)[0]), 'abcd');
+        assert.strictEqual(treeAdapter.getTextNodeContent(fosterParentedText), 'abcd');
+    };
+
+    _test['Truncate policy - fragments'] = function() {
+        const fragment = parse5.parseFragment('<div><span></span></div>', {
+            treeAdapter,
+            maxTreeDepth: 1,
+            resourceLimitPolicy: 'truncate'
+        });
+        const div = treeAdapter.getChildNodes(fragment)[0];
+
+        assert.strictEqual(treeAdapter.getTagName(div), 'div');
+        assert.strictEqual(treeAdapter.getChildNodes(div).length, 0);
+    };
+});
@@ -1,9 +1,12 @@
 'use strict';
 
 const assert = require('assert');
+const path = require('path');
 const parse5 = require('../lib');
+const serializeToDatFileFormat = require('../../../test/utils/serialize-to-dat-file-format');
+const { loadTreeConstructionTestData } = require('../../../test/utils/generate-parsing-tests');
 const generateSeriliazerTests = require('../../../test/utils/generate-serializer-tests');
-const { treeAdapters } = require('../../../test/utils/common');
+const { treeAdapters, generateTestsForEachTreeAdapter } = require('../../../test/utils/common');
 
 generateSeriliazerTests(exports, 'Serializer', parse5.serialize);
 
@@ -25,3 +28,429 @@ exports["Regression - Get text node's parent tagName only if it's an Element nod
         treeAdapters.default.getTagName = this.originalGetTagName;
     }
 };
+
+exports['Tree adapter without opaque nodes support'] = function() {
+    const treeAdapter = Object.assign({}, treeAdapters.default);
+
+    delete treeAdapter.createOpaqueNode;
+    delete treeAdapter.getOpaqueNodeContent;
+    delete treeAdapter.isOpaqueNode;
+
+    const html = '<!DOCTYPE html><html><!--a--><head></head><body><ul><li>1</li><li>2</li></ul></body></html>';
+    const document = parse5.parse(html, { treeAdapter, cst: true });
+
+    assert.strictEqual(parse5.serialize(document, { treeAdapter }), html);
+    assert.strictEqual(parse5.serialize(document, { treeAdapter, cst: true }), html);
+    assert.strictEqual(
+        parse5.serialize(document, { treeAdapter, minify: true }),
+        '<!DOCTYPE html><html><!--a--><ul><li>1<li>2</ul>'
+    );
+};
+
+generateTestsForEachTreeAdapter(module.exports, (_test, treeAdapter) => {
+    _test['Options - fullDoctype'] = function() {
+        const testCases = [
+            {
+                html:
+                    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">',
+                mode: 'no-quirks'
+            },
+            { html: '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN">', mode: 'quirks' },
+            { html: '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN" "">', mode: 'no-quirks' },
+            { html: '<!DOCTYPE html SYSTEM "about:legacy-compat">', mode: 'no-quirks' },
+            { html: '<!DOCTYPE html PUBLIC "">', mode: 'no-quirks' },
+            { html: '<!DOCTYPE html SYSTEM "">', mode: 'no-quirks' },
+            { html: '<!DOCTYPE html>', mode: 'no-quirks' }
+        ];
+
+        testCases.forEach(({ html, mode }) => {
+            const document = parse5.parse(html, { treeAdapter });
+            const serializedDoctype = parse5.serialize(document, { treeAdapter, fullDoctype: true }).split('<html>')[0];
+            const reparsed = parse5.parse(serializedDoctype, { treeAdapter });
+
+            assert.strictEqual(serializedDoctype, html);
+            assert.strictEqual(treeAdapter.getDocumentMode(document), mode);
+            assert.strictEqual(treeAdapter.getDocumentMode(reparsed), mode);
+            assert.strictEqual(parse5.serialize(document, { treeAdapter }).indexOf('<!DOCTYPE html><html>'), 0);
+        });
+    };
+
+    _test['Options - fullDoctype - document type created from scratch'] = function() {
+        const document = treeAdapter.createDocument();
+
+        //NOTE: the presence of identifiers is not specified, so empty ones are considered missing
+        treeAdapter.setDocumentType(document, 'html', '', 'about:legacy-compat');
+
+        assert.strictEqual(
+            parse5.serialize(document, { treeAdapter, fullDoctype: true }),
+            '<!DOCTYPE html SYSTEM "about:legacy-compat">'
+        );
+    };
+
+    _test['Options - xml'] = function() {
+        const html =
+            '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN"><title>a&amp;b</title>' +
+            '<script>if (a < b) {}</script><style>a>b{}</style>' +
+            '<p title="<&amp;&quot;>">x<br>&nbsp;<svg><path/><a xlink:href="#"><foreignObject><div></div></foreignObject></a></svg>' +
+            '<math><mi>1</mi></math><template><i>t</i></template>';
+        const expected =
+            '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN" "">' +
+            '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>a&amp;b</title>' +
+            '<script><![CDATA[if (a < b) {}]]></script><style><![CDATA[a>b{}]]></style></head>' +
+            '<body><p title="&lt;&amp;&quot;&gt;">x<br />\u00a0<svg xmlns="http://www.w3.org/2000/svg"><path/>' +
+            '<a xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="#"><foreignObject>' +
+            '<div xmlns="http://www.w3.org/1999/xhtml"></div></foreignObject></a></svg>' +
+            '<math xmlns="http://www.w3.org/1998/Math/MathML"><mi>1</mi></math>' +
+            '<template><i>t</i></template></p></body></html>';
+        const document = parse5.parse(html, { treeAdapter });
+
+        assert.strictEqual(parse5.serialize(document, { treeAdapter, xml: true }), expected);
+    };
+
+    _test['Options - format'] = function() {
+        const html =
+            '<!DOCTYPE html><title>Test</title><div class=a><p>Lorem ipsum dolor sit amet, <b>consectetur   adipiscing</b> elit.</p>' +
+            '<pre>  x\n  y</pre><ul><li>One</li><li>Two <i>2</i></li></ul>text<span>a</span><span>b</span><textarea> t </textarea></div>';
+        const document = parse5.parse(html, { treeAdapter });
+        const expected = {
+            css: [
+                '<!DOCTYPE html>',
+                '<html>',
+                '  <head>',
+                '    <title>Test</title>',
+                '  </head>',
+                '  <body>',
+                '    <div class="a">',
+                '      <p>',
+                '        Lorem ipsum dolor sit amet,',
+                '        <b>consectetur adipiscing</b>',
+                '        elit.',
+                '      </p>',
+                '      <pre>  x',
+                '  y</pre>',
+                '      <ul>',
+                '        <li>One</li>',
+                '        <li>Two <i>2</i></li>',
+                '      </ul>',
+                '      text<span>a</span><span>b</span><textarea> t </textarea>',
+                '    </div>',
+                '  </body>',
+                '</html>'
+            ],
+            strict: [
+                '<!DOCTYPE html><html><head><title>Test</title></head><body><div class="a"><p>Lorem',
+                'ipsum dolor sit amet, <b>consectetur adipiscing</b> elit.</p><pre>  x',
+                '  y</pre><ul><li>One</li><li>Two',
+                '<i>2</i></li></ul>text<span>a</span><span>b</span><textarea> t </textarea></div></body></html>'
+            ],
+            ignore: [
+                '<!DOCTYPE html>',
+                '<html>',
+                '\t<head>',
+                '\t\t<title>Test</title>',
+                '\t</head>',
+                '\t<body>',
+                '\t\t<div class="a">',
+                '\t\t\t<p>',
+                '\t\t\t\tLorem ipsum dolor sit amet,',
+                '\t\t\t\t<b>consectetur adipiscing</b>',
+                '\t\t\t\telit.',
+                '\t\t\t</p>',
+                '\t\t\t<pre>  x',
+                '  y</pre>',
+                '\t\t\t<ul>',
+                '\t\t\t\t<li>One</li>',
+                '\t\t\t\t<li>',
+                '\t\t\t\t\tTwo',
+                '\t\t\t\t\t<i>2</i>',
+                '\t\t\t\t</li>',
+                '\t\t\t</ul>',
+                '\t\t\ttext',
+                '\t\t\t<span>a</span>',
+                '\t\t\t<span>b</span>',
+                '\t\t\t<textarea> t </textarea>',
+                '\t\t</div>',
+                '\t</body>',
+                '</html>'
+            ]
+        };
+
+        const css = parse5.serialize(document, { treeAdapter, format: true, lineWidth: 40 });
+        const strict = parse5.serialize(document, { treeAdapter, format: true, whitespaceSensitivity: 'strict' });
+        const ignore = parse5.serialize(document, {
+            treeAdapter,
+            format: true,
+            indent: '\t',
+            whitespaceSensitivity: 'ignore'
+        });
+
+        assert.deepStrictEqual(css.split('\n'), expected.css);
+        assert.deepStrictEqual(strict.split('\n'), expected.strict);
+        assert.deepStrictEqual(ignore.split('\n'), expected.ignore);
+
+        //NOTE: in strict mode only the amount of existing whitespace is changed
+        const collapseWhitespace = str => str.replace(/\s+/g, ' ');
+        const reparsed = parse5.parse(strict, { treeAdapter });
+
+        assert.strictEqual(
+            collapseWhitespace(parse5.serialize(reparsed, { treeAdapter })),
+            collapseWhitespace(parse5.serialize(document, { treeAdapter }))
+        );
+    };
+
+    _test['Options - format - nested content of preserved elements'] = function() {
+        const fragment = parse5.parseFragment(
+            '<div><pre><b>  x   y\n   z</b> <span>a  b</span></pre><textarea></textarea></div>',
+            { treeAdapter }
+        );
+        const div = treeAdapter.getFirstChild(fragment);
+        const textarea = treeAdapter.getChildNodes(div)[1];
+
+        //NOTE: the parser never creates elements in <textarea>, but tree can be built manually
+        treeAdapter
+            .getChildNodes(parse5.parseFragment('<i> c  d </i>  <p>e   f</p>', { treeAdapter }))
+            .slice()
+            .forEach(node => {
+                treeAdapter.detachNode(node);
+                treeAdapter.appendChild(textarea, node);
+            });
+
+        const expected = [
+            '<div>',
+            '  <pre><b>  x   y',
+            '   z</b> <span>a  b</span></pre>',
+            '  <textarea><i> c  d </i>  <p>e   f</p></textarea>',
+            '</div>'
+        ];
+
+        assert.deepStrictEqual(parse5.serialize(fragment, { treeAdapter, format: true }).split('\n'), expected);
+    };
+
+    _test['Options - minify'] = function() {
+        const html =
+            '<!DOCTYPE html><html><head><title>A &amp; B</title></head><body><ul><li>One</li><li>Two</li></ul>' +
+            '<p class="a b" title="x">1 &lt; 2 &amp;&amp; 3&nbsp;&gt; 0 &amp;amp;</p><input disabled="" value="it&quot;s">' +
+            '<table><tbody><tr><td>1</td><td>2</td></tr></tbody></table></body></html>';
+        const expected =
+            '<!DOCTYPE html><title>A & B</title><ul><li>One<li>Two</ul>' +
+            '<p class="a b" title=x>1 < 2 && 3\u00a0> 0 &amp;amp;</p><input disabled value=\'it"s\'>' +
+            '<table><tr><td>1<td>2</table>';
+        const document = parse5.parse(html, { treeAdapter });
+
+        assert.strictEqual(parse5.serialize(document, { treeAdapter, minify: true }), expected);
+    };
+
+    _test['Options - rawTextElements'] = function() {
+        const rawTextElements = {
+            'x-markdown': parse5.Tokenizer.MODE.RAWTEXT,
+            'code-block': parse5.Tokenizer.MODE.RCDATA
+        };
+        const html = '<div><x-markdown>*<b>a</b>*   &amp;</x-markdown><code-block>&lt;b&gt;</code-block></div>';
+        const fragment = parse5.parseFragment(html, { treeAdapter, rawTextElements });
+
+        assert.strictEqual(parse5.serialize(fragment, { treeAdapter, rawTextElements }), html);
+        assert.strictEqual(
+            parse5.serialize(fragment, { treeAdapter, rawTextElements, format: true }),
+            '<div>\n  <x-markdown>*<b>a</b>*   &amp;</x-markdown><code-block>&lt;b&gt;</code-block>\n</div>'
+        );
+        assert.strictEqual(
+            parse5.serialize(fragment, { treeAdapter }),
+            '<div><x-markdown>*&lt;b&gt;a&lt;/b&gt;*   &amp;amp;</x-markdown><code-block>&lt;b&gt;</code-block></div>'
+        );
+    };
+
+    _test['Options - minifyWhitespace'] = function() {
+        const html = '<table>\n  <tr>\n    <td> x </td>\n  </tr>\n</table>\n<select>\n  <option>a</option>\n</select>';
+        const expected = '<table><tr><td> x </table>\n<select><option>a</select>';
+        const document = parse5.parse(html, { treeAdapter });
+        const minified = parse5.serialize(document, { treeAdapter, minify: true, minifyWhitespace: true });
+        const reparsed = parse5.parse(minified, { treeAdapter });
+
+        assert.strictEqual(minified, expected);
+        assert.strictEqual(parse5.serialize(reparsed, { treeAdapter, minify: true }), expected);
+    };
+
+    //NOTE: minified markup should be parsed into the same tree. We check it only for the trees
+    //that can be restored from the regular serializer output.
+    const testSuite = [
+        path.join(__dirname, '../../../test/data/html5lib-tests/tree-construction'),
+        path.join(__dirname, '../../../test/data/tree-construction-regression')
+    ];
+
+    loadTreeConstructionTestData(testSuite, treeAdapter).forEach(test => {
+        const testName = `Options - minify - ${test.idx}.${test.setName} - \`${test.input}\` (line ${test.lineNum})`;
+
+        _test[testName] = function() {
+            const opts = { treeAdapter, scriptingEnabled: test.scriptingEnabled };
+            const parse = html =>
+                test.fragmentContext
+                    ? parse5.parseFragment(test.fragmentContext, html, opts)
+                    : parse5.parse(html, opts);
+            const node = parse(test.input);
+            const expected = serializeToDatFileFormat(node, treeAdapter);
+
+            if (serializeToDatFileFormat(parse(parse5.serialize(node, opts)), treeAdapter) === expected) {
+                const minified = parse5.serialize(node, { treeAdapter, minify: true });
+
+                assert.strictEqual(serializeToDatFileFormat(parse(minified), treeAdapter), expected, minified);
+            }
+        };
+    });
+
+    _test['Options - encodeEntities'] = function() {
+        const fragment = parse5.parseFragment('<p title="Café ©">Ünï &amp; &nbsp; \ud83d\ude00</p>', { treeAdapter });
+        const serialize = (encodeEntities, opts) =>
+            parse5.serialize(fragment, Object.assign({ treeAdapter, encodeEntities }, opts));
+
+        assert.strictEqual(serialize('minimal'), '<p title="Café ©">Ünï &amp; &nbsp; \ud83d\ude00</p>');
+        assert.strictEqual(
+            serialize('nonAscii'),
+            '<p title="Caf&#233; &#169;">&#220;n&#239; &amp; &nbsp; &#128512;</p>'
+        );
+        assert.strictEqual(
+            serialize('named'),
+            '<p title="Caf&eacute; &copy;">&Uuml;n&iuml; &amp; &nbsp; &#128512;</p>'
+        );
+        assert.strictEqual(
+            serialize('named', { minify: true }),
+            '<p title="Caf&eacute; &copy;">&Uuml;n&iuml; & &nbsp; &#128512;'
+        );
+        assert.strictEqual(
+            serialize('named', { xml: true }),
+            '<p xmlns="http://www.w3.org/1999/xhtml" title="Caf&#233; &#169;">&#220;n&#239; &amp; &#160; &#128512;</p>'
+        );
+    };
+
+    _test['Options - attributes'] = function() {
+        const fragment = parse5.parseFragment('<input value="it&quot;s" disabled="" b="x y" a="1" c="it\'s">', {
+            treeAdapter
+        });
+        const serialize = opts => parse5.serialize(fragment, Object.assign({ treeAdapter }, opts));
+
+        assert.strictEqual(
+            serialize({ sortAttributes: true }),
+            '<input a="1" b="x y" c="it\'s" disabled="" value="it&quot;s">'
+        );
+        assert.strictEqual(
+            serialize({ attributeQuotes: 'single' }),
+            "<input value='it\"s' disabled='' b='x y' a='1' c='it&#39;s'>"
+        );
+        assert.strictEqual(
+            serialize({ attributeQuotes: 'auto' }),
+            '<input value=\'it"s\' disabled="" b="x y" a="1" c="it\'s">'
+        );
+        assert.strictEqual(
+            serialize({ omitAttributeQuotes: true, collapseBooleanAttributes: true }),
+            '<input value="it&quot;s" disabled b="x y" a=1 c="it\'s">'
+        );
+        assert.strictEqual(
+            serialize({ minify: true, sortAttributes: true }),
+            '<input a=1 b="x y" c="it\'s" disabled value=\'it"s\'>'
+        );
+        assert.strictEqual(
+            serialize({ xml: true, sortAttributes: true, omitAttributeQuotes: true }),
+            '<input xmlns="http://www.w3.org/1999/xhtml" a="1" b="x y" c="it\'s" disabled="" value="it&quot;s" />'
+        );
+    };
+
+    _test['Options - hooks'] = function() {
+        const fragment = parse5.parseFragment(
+            '<p>Hi <b class="secret">there</b><!--note--> <a href="/x">link</a></p><p>bye</p>',
+            { treeAdapter }
+        );
+        const options = {
+            treeAdapter,
+            onElement: (node, serialize) => {
+                const tn = treeAdapter.getTagName(node);
+
+                if (tn === 'b') {
+                    return '';
+                }
+
+                return tn === 'a' ? '[' + serialize() + ']' : void 0;
+            },
+            onText: (node, serialize) => serialize().toUpperCase(),
+            onComment: () => '<!--redacted-->'
+        };
+
+        assert.strictEqual(
+            parse5.serialize(fragment, options),
+            '<p>HI <!--redacted--> [<a href="/x">LINK</a>]</p><p>BYE</p>'
+        );
+        assert.strictEqual(
+            parse5.serialize(fragment, Object.assign({ minify: true }, options)),
+            '<p>HI <!--redacted--> [<a href=/x>LINK</a>]<p>BYE'
+        );
+        assert.strictEqual(
+            parse5.serialize(fragment, Object.assign({ format: true, lineWidth: 20 }, options)),
+            '<p>\n  HI <!--redacted-->\n  [<a href="/x">LINK</a>]\n</p>\n<p>BYE</p>'
+        );
+    };
+
+    _test['Options - hooks - minify - end tag omission'] = function() {
+        const fragment = parse5.parseFragment('<p>a</p><div>x</div>b<ul><li>1</li><li>2</li><li>3</li></ul>', {
+            treeAdapter
+        });
+        const serialize = onElement => parse5.serialize(fragment, { treeAdapter, minify: true, onElement });
+
+        //NOTE: end tags are kept if the following sibling is skipped or replaced by the hook
+        assert.strictEqual(
+            serialize(node => (treeAdapter.getTagName(node) === 'div' ? '' : void 0)),
+            '<p>a</p>b<ul><li>1<li>2<li>3</ul>'
+        );
+        assert.strictEqual(
+            serialize((node, serializeDefault) => (serializeDefault() === '<li>2</li>' ? '<li>two</li>' : void 0)),
+            '<p>a<div>x</div>b<ul><li>1</li><li>two</li><li>3</ul>'
+        );
+    };
+
+    _test['Options - hooks - minify - wrapped element'] = function() {
+        const fragment = parse5.parseFragment('<ul><li>1</li><li>2</li></ul><p>a</p><div>b</div>', { treeAdapter });
+        const minified = parse5.serialize(fragment, {
+            treeAdapter,
+            minify: true,
+            onElement: (node, serializeDefault) => {
+                const tn = treeAdapter.getTagName(node);
+
+                return tn === 'li' || tn === 'p' ? '<!--x-->' + serializeDefault() + '<!--y-->' : void 0;
+            }
+        });
+        const expected =
+            '<ul><!--x--><li>1</li><!--y--><!--x--><li>2</li><!--y--></ul><!--x--><p>a</p><!--y--><div>b</div>';
+
+        //NOTE: wrappers stay outside of the elements when the markup is parsed again
+        assert.strictEqual(minified, expected);
+        assert.strictEqual(
+            parse5.serialize(parse5.parseFragment(minified, { treeAdapter }), { treeAdapter }),
+            expected
+        );
+    };
+
+    _test['Options - xml - repair'] = function() {
+        const fragment = parse5.parseFragment(
+            '<a:b c:d="1" "e"=2 xmlns="foo" xml:lang="en">]]></a:b><script>]]></script><!-- a--b- -->\f',
+            { treeAdapter }
+        );
+        const expected =
+            '<a_b xmlns="http://www.w3.org/1999/xhtml" c_d="1" _e_="2" xml:lang="en">]]&gt;</a_b>' +
+            '<script xmlns="http://www.w3.org/1999/xhtml"><![CDATA[]]]]><![CDATA[>]]></script>' +
+            '<!-- a- -b- -->\ufffd';
+
+        assert.strictEqual(parse5.serialize(fragment, { treeAdapter, xml: true }), expected);
+    };
+
+    _test['Options - xml - namespace declarations'] = function() {
+        const fragment = parse5.parseFragment(
+            '<svg><a xlink:href="x" xmlns:xlink="http://www.w3.org/1999/xlink"/>' +
+                '<a xmlns:xlink="foo" xlink:href="y"/></svg>',
+            { treeAdapter }
+        );
+        const expected =
+            '<svg xmlns="http://www.w3.org/2000/svg">' +
+            '<a xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="x"/>' +
+            '<a xmlns:xlink="foo" xmlns:ns1="http://www.w3.org/1999/xlink" ns1:href="y"/>' +
+            '</svg>';
+
+        assert.strictEqual(parse5.serialize(fragment, { treeAdapter, xml: true }), expected);
+    };
+});
@@ -1,7 +1,11 @@
 'use strict';
 
+const assert = require('assert');
 const path = require('path');
+const parse5 = require('../lib');
 const Tokenizer = require('../lib/tokenizer');
+const compileNamedEntityTree = require('../lib/tokenizer/named-entity-tree');
+const namedEntityData = require('../lib/tokenizer/named-entity-data');
 const Mixin = require('../lib/utils/mixin');
 const ErrorReportingTokenizerMixin = require('../lib/extensions/error-reporting/tokenizer-mixin');
 const generateTokenizationTests = require('../../../test/utils/generate-tokenization-tests');
@@ -26,3 +30,466 @@ generateTokenizationTests(
         return { tokenizer, getNextToken: () => tokenizer.getNextToken() };
     }
 );
+
+exports['Tokenizer - tokenize()'] = function() {
+    const tokens = Array.from(parse5.tokenize('<!DOCTYPE html><p id="foo">Hi &amp; bye</p><!--c-->'));
+
+    assert.deepStrictEqual(tokens, [
+        { type: Tokenizer.DOCTYPE_TOKEN, name: 'html', forceQuirks: false, publicId: null, systemId: null },
+        {
+            type: Tokenizer.START_TAG_TOKEN,
+            tagName: 'p',
+            selfClosing: false,
+            ackSelfClosing: false,
+            attrs: [{ name: 'id', value: 'foo' }]
+        },
+        { type: Tokenizer.CHARACTER_TOKEN, chars: 'Hi' },
+        { type: Tokenizer.WHITESPACE_CHARACTER_TOKEN, chars: ' ' },
+        { type: Tokenizer.CHARACTER_TOKEN, chars: '&' },
+        { type: Tokenizer.WHITESPACE_CHARACTER_TOKEN, chars: ' ' },
+        { type: Tokenizer.CHARACTER_TOKEN, chars: 'bye' },
+        { type: Tokenizer.END_TAG_TOKEN, tagName: 'p', selfClosing: false, attrs: [] },
+        { type: Tokenizer.COMMENT_TOKEN, data: 'c' }
+    ]);
+};
+
+exports['Tokenizer - tokenize() - initialState and lastStartTagName'] = function() {
+    const tokens = Array.from(
+        parse5.tokenize('<b>&amp;</a></textarea>', {
+            initialState: Tokenizer.MODE.RCDATA,
+            lastStartTagName: 'textarea'
+        })
+    );
+
+    assert.deepStrictEqual(tokens, [
+        { type: Tokenizer.CHARACTER_TOKEN, chars: '<b>&</a>' },
+        { type: Tokenizer.END_TAG_TOKEN, tagName: 'textarea', selfClosing: false, attrs: [] }
+    ]);
+};
+
+exports['Tokenizer - tokenize() - allowCDATA'] = function() {
+    const html = '<![CDATA[foo]]>';
+
+    assert.deepStrictEqual(Array.from(parse5.tokenize(html)), [
+        { type: Tokenizer.COMMENT_TOKEN, data: '[CDATA[foo]]' }
+    ]);
+    assert.deepStrictEqual(Array.from(parse5.tokenize(html, { allowCDATA: true })), [
+        { type: Tokenizer.CHARACTER_TOKEN, chars: 'foo' }
+    ]);
+};
+
+exports['Tokenizer - tokenize() - decodeEntities'] = function() {
+    const html = '<a title="&amp;&quot">&lt;&#60;&copy&foo;</a>';
+
+    assert.deepStrictEqual(Array.from(parse5.tokenize(html, { decodeEntities: false })), [
+        {
+            type: Tokenizer.START_TAG_TOKEN,
+            tagName: 'a',
+            selfClosing: false,
+            ackSelfClosing: false,
+            attrs: [{ name: 'title', value: '&amp;&quot' }]
+        },
+        { type: Tokenizer.CHARACTER_TOKEN, chars: '&lt;&#60;&copy&foo;' },
+        { type: Tokenizer.END_TAG_TOKEN, tagName: 'a', selfClosing: false, attrs: [] }
+    ]);
+};
+
+exports['Tokenizer - tokenize() - namedEntities'] = function() {
+    const namedEntities = {
+        'copy;': 'C',
+        'ab;': { codepoints: [0x1d504] },
+        'abc;': 'Z',
+        '&abc': 'z',
+        ab: 'Y'
+    };
+    const html = '<a title="&ab;&abc=&ab">&amp; &copy; &ab;&abc;&abc&ab!&abd</a>';
+    const tokens = Array.from(parse5.tokenize(html, { namedEntities })).filter(
+        token => token.type !== Tokenizer.WHITESPACE_CHARACTER_TOKEN
+    );
+
+    assert.deepStrictEqual(tokens[0].attrs, [{ name: 'title', value: '\ud835\udd04&abc=Y' }]);
+    assert.deepStrictEqual(tokens.slice(1, -1).map(token => token.chars), ['&amp;', 'C', '\ud835\udd04ZzY!Yd']);
+
+    assert.throws(() => parse5.tokenize('', { namedEntities: { 'foo;': 'bar' } }).next(), /"foo;"/);
+};
+
+exports['Tokenizer - named entity tree compilation'] = function() {
+    const entities = Object.create(null);
+
+    //NOTE: decompile the pre-generated tree, the compiled tree should be identical to it
+    (function collect(i, name) {
+        const marker = namedEntityData[i];
+
+        if (marker > 7) {
+            collect(i + 1, name + String.fromCharCode(marker));
+            return;
+        }
+
+        if (marker & 1) {
+            const dataLength = marker & 2 ? 2 : 1;
+
+            entities[name] = String.fromCharCode.apply(null, namedEntityData.slice(i + 1, i + 1 + dataLength));
+            i += dataLength;
+        }
+
+        if (marker & 4) {
+            const branchCount = namedEntityData[++i];
+
+            for (let j = 1; j <= branchCount; j++) {
+                collect(namedEntityData[i + j + branchCount], name + String.fromCharCode(namedEntityData[i + j]));
+            }
+        }
+    })(0, '');
+
+    assert.deepStrictEqual(compileNamedEntityTree(entities), namedEntityData);
+    assert.strictEqual(compileNamedEntityTree(entities), compileNamedEntityTree(entities));
+};
+
+exports['Tokenizer - tokenize() - opaqueIslands'] = function() {
+    const errors = [];
+    const opaqueIslands = [{ open: '{{{', close: '}}}' }, { open: '{{', close: '}}' }, { open: '<%', close: '%>' }];
+    const html = '<p class="a {{c}}" {{#if x}}hidden{{/if}} title={{t}}>{{{<b>}}}<% if (a < b) { %><%>%><% x';
+    const tokens = Array.from(parse5.tokenize(html, { opaqueIslands, onParseError: err => errors.push(err.code) }));
+
+    assert.deepStrictEqual(tokens[0].attrs, [
+        { name: 'class', value: 'a {{c}}' },
+        { name: '{{#if x}}hidden{{/if}}', value: '' },
+        { name: 'title', value: '{{t}}' }
+    ]);
+    assert.deepStrictEqual(tokens.slice(1).map(token => [token.type, token.data]), [
+        [Tokenizer.OPAQUE_ISLAND_TOKEN, '{{{<b>}}}'],
+        [Tokenizer.OPAQUE_ISLAND_TOKEN, '<% if (a < b) { %>'],
+        [Tokenizer.OPAQUE_ISLAND_TOKEN, '<%>%>'],
+        [Tokenizer.OPAQUE_ISLAND_TOKEN, '<% x']
+    ]);
+    assert.deepStrictEqual(errors, ['eof-in-opaque-island']);
+};
+
+exports['Tokenizer - opaqueIslands - chunked input'] = function() {
+    const html = 'a{{b}}c<d e="{{f}}"{{g}}>{{{h}}}{';
+    const opts = {
+        opaqueIslands: [{ open: '{{{', close: '}}}' }, { open: '{{', close: '}}' }],
+        preserveRaw: true,
+        sourceCodeLocationInfo: true
+    };
+    const tokenizer = parse5.createTokenizer(opts);
+    const tokens = [];
+    let pos = 1;
+    let token = null;
+
+    tokenizer.write(html[0], false);
+
+    do {
+        token = tokenizer.getNextToken();
+
+        if (token.type === Tokenizer.HIBERNATION_TOKEN) {
+            tokenizer.write(html[pos++], pos === html.length);
+        } else {
+            tokens.push(token);
+        }
+    } while (token.type !== Tokenizer.EOF_TOKEN);
+
+    tokens.pop();
+
+    assert.deepStrictEqual(tokens, Array.from(parse5.tokenize(html, opts)));
+    assert.deepStrictEqual(tokens.map(token => token.raw.html), [
+        'a',
+        '{{b}}',
+        'c',
+        '<d e="{{f}}"{{g}}>',
+        '{{{h}}}',
+        '{'
+    ]);
+};
+
+exports['Tokenizer - tokenize() - sourceCodeLocationInfo and onParseError'] = function() {
+    const errors = [];
+    const tokens = Array.from(
+        parse5.tokenize('<a b=1 b=2>\n</a/>', {
+            sourceCodeLocationInfo: true,
+            onParseError: err => errors.push(err.code + ':' + err.startLine + ':' + err.startCol)
+        })
+    );
+
+    assert.deepStrictEqual(tokens.map(token => [token.type, token.location.startOffset, token.location.endOffset]), [
+        [Tokenizer.START_TAG_TOKEN, 0, 11],
+        [Tokenizer.WHITESPACE_CHARACTER_TOKEN, 11, 12],
+        [Tokenizer.END_TAG_TOKEN, 12, 17]
+    ]);
+    assert.deepStrictEqual(tokens[0].attrs, [{ name: 'b', value: '1' }]);
+    assert.deepStrictEqual(errors, ['duplicate-attribute:1:9', 'end-tag-with-trailing-solidus:2:5']);
+};
+
+exports['Tokenizer - onParseError - recovery'] = function() {
+    const html = 'x</ y>&notz<a b=1 b=2>&#65</a c></>d<e';
+    const errors = [];
+
+    Array.from(parse5.tokenize(html, { sourceCodeLocationInfo: true, onParseError: err => errors.push(err) }));
+
+    assert.deepStrictEqual(
+        errors.map(err => [
+            err.code,
+            err.recovery,
+            err.tokenLocation && html.substring(err.tokenLocation.startOffset, err.tokenLocation.endOffset)
+        ]),
+        [
+            ['invalid-first-character-of-tag-name', 'The markup is treated as a bogus comment', '</ y>'],
+            [
+                'missing-semicolon-after-character-reference',
+                '"&not" is treated as the "&not;" character reference',
+                '&notz'
+            ],
+            ['duplicate-attribute', 'The duplicate "b" attribute is ignored', '<a b=1 b=2>'],
+            [
+                'missing-semicolon-after-character-reference',
+                'The character reference is treated as if it was terminated by a semicolon',
+                '&#65'
+            ],
+            ['end-tag-with-attributes', 'The attributes of the end tag are ignored', '</a c>'],
+            ['missing-end-tag-name', 'The "</>" is ignored', null],
+            ['eof-in-tag', 'The tag is ignored', '']
+        ]
+    );
+};
+
+exports['Tokenizer - onParseError - numeric character reference errors location'] = function() {
+    const testCases = [
+        { html: '<a>&#0;</a>', code: 'null-character-reference', token: '&#0;' },
+        { html: 'x&#0;', code: 'null-character-reference', token: 'x&#0;' },
+        { html: '<a>&#x110000;</a>', code: 'character-reference-outside-unicode-range', token: '&#x110000;' },
+        { html: '<a>&#xD800;</a>', code: 'surrogate-character-reference', token: '&#xD800;' },
+        { html: '<a>&#xFFFF;</a>', code: 'noncharacter-character-reference', token: '&#xFFFF;' },
+        { html: '<a>&#x80;</a>', code: 'control-character-reference', token: '&#x80;' },
+        { html: '<a>&#1</a>', code: 'control-character-reference', token: '&#1' }
+    ];
+
+    testCases.forEach(({ html, code, token }) => {
+        const errors = [];
+
+        Array.from(parse5.tokenize(html, { sourceCodeLocationInfo: true, onParseError: err => errors.push(err) }));
+
+        const err = errors.filter(err => err.code === code)[0];
+
+        assert.strictEqual(html.substring(err.tokenLocation.startOffset, err.tokenLocation.endOffset), token, html);
+    });
+};
+
+exports['Tokenizer - onParseError - recovery depends on the input'] = function() {
+    const testCases = [
+        { html: 'a< b', code: 'invalid-first-character-of-tag-name', recovery: 'The "<" is treated as text' },
+        {
+            html: 'a</ b>',
+            code: 'invalid-first-character-of-tag-name',
+            recovery: 'The markup is treated as a bogus comment'
+        },
+        { html: 'a<', code: 'eof-before-tag-name', recovery: 'The "<" is treated as text' },
+        { html: 'a</', code: 'eof-before-tag-name', recovery: 'The "</" is treated as text' },
+        { html: '&#x1;', code: 'control-character-reference', recovery: 'The character is kept as is' },
+        { html: '&#x81;', code: 'control-character-reference', recovery: 'The character is kept as is' },
+        {
+            html: '&#x80;',
+            code: 'control-character-reference',
+            recovery: 'The character is replaced with the windows-1252 character U+20AC'
+        },
+        {
+            html: '&#x83;',
+            code: 'control-character-reference',
+            recovery: 'The character is replaced with the windows-1252 character U+0192'
+        }
+    ];
+
+    testCases.forEach(({ html, code, recovery }) => {
+        const errors = [];
+
+        Array.from(parse5.tokenize(html, { onParseError: err => errors.push(err) }));
+
+        assert.deepStrictEqual(errors.map(err => [err.code, err.recovery]), [[code, recovery]], html);
+    });
+};
+
+exports['Tokenizer - onParseError - recovery without location info'] = function() {
+    const errors = [];
+
+    Array.from(parse5.tokenize('<a b=1 b=2>\0', { onParseError: err => errors.push(err) }));
+
+    assert.deepStrictEqual(errors.map(err => [err.code, err.startOffset, err.recovery, err.tokenLocation]), [
+        ['duplicate-attribute', 8, 'The duplicate "b" attribute is ignored', null],
+        [
+            'unexpected-null-character',
+            11,
+            'The character is emitted as is, it is handled by the tree construction stage',
+            null
+        ]
+    ]);
+};
+
+exports['Tokenizer - createTokenizer() - chunked input and state switching'] = function() {
+    const tokenizer = parse5.createTokenizer();
+    const tokens = [];
+
+    tokenizer.write('<script>if (a <', false);
+
+    for (let token = tokenizer.getNextToken(); token.type !== Tokenizer.EOF_TOKEN; token = tokenizer.getNextToken()) {
+        if (token.type === Tokenizer.HIBERNATION_TOKEN) {
+            tokenizer.write(' b) {}</script>', true);
+        } else {
+            tokens.push(token);
+
+            if (token.type === Tokenizer.START_TAG_TOKEN && token.tagName === 'script') {
+                tokenizer.state = Tokenizer.MODE.SCRIPT_DATA;
+            }
+        }
+    }
+
+    assert.deepStrictEqual(tokens.map(token => token.chars || token.tagName), [
+        'script',
+        'if',
+        ' ',
+        '(a',
+        ' ',
+        '<',
+        ' ',
+        'b)',
+        ' ',
+        '{}',
+        'script'
+    ]);
+};
+
+exports['Tokenizer - tokenize() - end tag with non-letter characters in the text content'] = function() {
+    const opts = { initialState: Tokenizer.MODE.RAWTEXT, lastStartTagName: 'x-md2' };
+    const tokens = Array.from(parse5.tokenize('a</x-md></x-md2>b', opts));
+
+    assert.deepStrictEqual(tokens.map(token => token.chars || token.tagName), ['a</x-md>', 'x-md2', 'b']);
+};
+
+exports['Tokenizer - preserveRaw'] = function() {
+    const html = '<DIV Class = \'a&amp;b\'  hidden data-x="1"class=dup></Div foo >&notin;&#x41 &amp\r\n<!--c-->';
+    const tokens = Array.from(parse5.tokenize(html, { preserveRaw: true }));
+
+    assert.strictEqual(tokens.map(token => token.raw.html).join(''), html);
+
+    assert.deepStrictEqual(tokens[0].raw, { html: tokens[0].raw.html, tagName: 'DIV', trailing: '>' });
+    assert.deepStrictEqual(tokens[0].attrs.map(attr => attr.raw), [
+        { html: "Class = 'a&amp;b'", name: 'Class', value: 'a&amp;b', quote: "'", before: ' ' },
+        { html: 'hidden', name: 'hidden', value: null, quote: null, before: '  ' },
+        { html: 'data-x="1"', name: 'data-x', value: '1', quote: '"', before: ' ' }
+    ]);
+
+    assert.deepStrictEqual(tokens[1].raw, { html: '</Div foo >', tagName: 'Div', trailing: ' >' });
+    assert.deepStrictEqual(tokens[1].attrs[0].raw, { html: 'foo', name: 'foo', value: null, quote: null, before: ' ' });
+
+    assert.deepStrictEqual(tokens.slice(2).map(token => [token.chars || token.data, token.raw]), [
+        ['∉A', { html: '&notin;&#x41' }],
+        [' ', { html: ' ' }],
+        ['&', { html: '&amp' }],
+        ['\n', { html: '\r\n' }],
+        ['c', { html: '<!--c-->' }]
+    ]);
+};
+
+exports['Tokenizer - preserveRaw - chunked input'] = function() {
+    const html = '<a href=x&amp;y title="t">b&lt;</a><a';
+    const tokenizer = parse5.createTokenizer({ preserveRaw: true });
+    const tokens = [];
+    let pos = 1;
+    let token = null;
+
+    tokenizer.write(html[0], false);
+
+    do {
+        token = tokenizer.getNextToken();
+
+        if (token.type === Tokenizer.HIBERNATION_TOKEN) {
+            tokenizer.write(html[pos++], pos === html.length);
+        } else {
+            tokens.push(token);
+        }
+    } while (token.type !== Tokenizer.EOF_TOKEN);
+
+    assert.deepStrictEqual(tokens.map(token => token.raw.html), ['<a href=x&amp;y title="t">', 'b&lt;', '</a>', '<a']);
+    assert.deepStrictEqual(tokens[0].attrs[0].raw, {
+        html: 'href=x&amp;y',
+        name: 'href',
+        value: 'x&amp;y',
+        quote: '',
+        before: ' '
+    });
+};
+
+exports['Tokenizer - snapshot() and restore()'] = function() {
+    const html =
+        '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN">\r\n<p class=a title=\'b&amp;c\' data-x="&notin;">' +
+        'x &#x41; &#65;&copy &amp y\r\n😀<!-- c -- d --><![CDATA[e]]>{{f}}</p ><br/>' +
+        '<script><!--<script>a</script>--></script>&smile; <a b=c b="&dagger">\0';
+    const testCases = [
+        { allowCDATA: true, opaqueIslands: [{ open: '{{', close: '}}' }] },
+        {
+            allowCDATA: true,
+            opaqueIslands: [{ open: '{{', close: '}}' }],
+            namedEntities: { 'smile;': '\u263a', dagger: '\u2020', copy: '\u00a9' },
+            sourceCodeLocationInfo: true,
+            positionEncoding: 'utf-8'
+        }
+    ];
+
+    testCases.forEach(opts => {
+        const expected = Array.from(parse5.tokenize(html, opts));
+
+        for (let i = 0; i <= html.length; i++) {
+            let tokenizer = parse5.createTokenizer(opts);
+            const tokens = [];
+
+            tokenizer.preprocessor.bufferWaterline = 8;
+            tokenizer.write(html.substring(0, i), false);
+
+            for (
+                let token = tokenizer.getNextToken();
+                token.type !== Tokenizer.EOF_TOKEN;
+                token = tokenizer.getNextToken()
+            ) {
+                if (token.type === Tokenizer.HIBERNATION_TOKEN) {
+                    //NOTE: ensure that the snapshot survives serialization
+                    tokenizer = Tokenizer.restore(JSON.parse(JSON.stringify(tokenizer.snapshot())));
+                    tokenizer.preprocessor.bufferWaterline = 8;
+                    tokenizer.write(html.substring(i), true);
+                } else {
+                    tokens.push(token);
+                }
+            }
+
+            assert.deepStrictEqual(tokens, expected, `Snapshot at offset ${i}`);
+        }
+    });
+};
+
+exports['Tokenizer - snapshot() - unsupported extensions'] = function() {
+    [{ onParseError: () => {} }, { preserveRaw: true }].forEach(opts => {
+        const tokenizer = parse5.createTokenizer(opts);
+
+        tokenizer.write('<p', false);
+        tokenizer.getNextToken();
+
+        assert.throws(() => tokenizer.snapshot(), /source code location info/);
+    });
+};
+
+exports['Tokenizer - snapshot() and restore() - between tokens'] = function() {
+    const html = '<a b="c">d<e f>';
+    const tokenizer = parse5.createTokenizer();
+
+    tokenizer.write(html, true);
+
+    const firstToken = tokenizer.getNextToken();
+    const snapshot = tokenizer.snapshot();
+    const restored = Tokenizer.restore(snapshot);
+
+    assert.strictEqual(firstToken.tagName, 'a');
+
+    for (let token = tokenizer.getNextToken(); token.type !== Tokenizer.EOF_TOKEN; token = tokenizer.getNextToken()) {
+        assert.deepStrictEqual(restored.getNextToken(), token);
+    }
+
+    assert.strictEqual(restored.getNextToken().type, Tokenizer.EOF_TOKEN);
+    assert.strictEqual(snapshot.preprocessor.html, html);
+};
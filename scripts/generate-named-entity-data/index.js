@@ -1,8 +1,8 @@
 let { writeFile } = require('fs');
 const { promisify } = require('util');
 const r2 = require('r2');
-const RadixTree = require('./radix-tree');
-const ArrayMappedRadixTree = require('./array-mapped-radix-tree');
+const RadixTree = require('../../packages/parse5/lib/tokenizer/named-entity-tree/radix-tree');
+const ArrayMappedRadixTree = require('../../packages/parse5/lib/tokenizer/named-entity-tree/array-mapped-radix-tree');
 
 writeFile = promisify(writeFile);
 
@@ -1,6 +1,7 @@
 'use strict';
 
 const { Writable } = require('stream');
+const { ReadableStream } = require('stream/web');
 const assert = require('assert');
 
 const treeAdapters = {
@@ -85,6 +86,35 @@ module.exports = {
         return str.replace(/\r/g, '').replace(/\n/g, '');
     },
 
+    createWebReadableStream(str) {
+        const chunks = makeChunks(str);
+
+        return new ReadableStream({
+            start(controller) {
+                chunks.forEach(chunk => controller.enqueue(chunk));
+                controller.close();
+            }
+        });
+    },
+
+    readWebStream(stream) {
+        const reader = stream.getReader();
+        let data = '';
+
+        const read = () =>
+            reader.read().then(({ done, value }) => {
+                if (done) {
+                    return data;
+                }
+
+                data += value;
+
+                return read();
+            });
+
+        return read();
+    },
+
     writeChunkedToStream(str, stream) {
         const chunks = makeChunks(str);
         const lastChunkIdx = chunks.length - 1;
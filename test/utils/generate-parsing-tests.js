@@ -59,6 +59,7 @@ function createParsingTest(test, treeAdapter, parse, { withoutErrors }) {
 
         const opts = {
             scriptingEnabled: test.scriptingEnabled,
+            decodeEntities: !test.disableEntitiesDecoding,
             treeAdapter: treeAdapter,
 
             onParseError: err => {